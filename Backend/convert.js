@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+// Backend/convert.js
+// Headless CAD -> GLB converter for build pipelines. Runs the same OCCT
+// pipeline as /api/convert, without the server or the worker pool.
+//
+//   node convert.js in/*.step models/ --out dist --center --ground --y-up --quality fine
+//
+// Directories are searched (not recursively) for CAD files. A manifest with
+// bounds, mesh counts and phase timings per file is written next to the GLBs.
+// Exits with 1 when any file fails, 2 on invalid arguments.
+import path from 'path';
+import { promises as fsp } from 'fs';
+import { parseArgs } from 'util';
+import processCADFile, { CAD_FORMATS, QUALITY_PRESETS } from './workers/occtWorker.js';
+import { COMPRESSION_MODES } from './workers/glbCompression.js';
+import { LENGTH_UNITS } from './workers/cadUnits.js';
+import { MAX_LOD_LEVELS } from './workers/glbSimplify.js';
+
+const USAGE = `Usage: node convert.js <file|dir>... [options]
+
+Options:
+  -o, --out <dir>           Output directory (default: .)
+      --manifest <file>     Manifest path (default: <out>/manifest.json)
+  -q, --quality <preset>    ${Object.keys(QUALITY_PRESETS).join(' | ')} (default: normal)
+      --compression <mode>  ${COMPRESSION_MODES.join(' | ')} (default: none)
+  -u, --units <unit>        Output length unit: ${Object.keys(LENGTH_UNITS).join(' | ')} (default: millimeter)
+      --max-triangles <n>   Simplify models with more triangles than this
+      --lods <n>            Levels of detail to write with MSFT_lod, 1-${MAX_LOD_LEVELS} (default: 1)
+      --center              Center the model on the origin
+      --ground              Put the bottom of the model on the ground plane
+      --y-up                Rotate Z-up models to glTF's Y-up
+  -h, --help                Show this help
+`;
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o', default: '.' },
+            manifest: { type: 'string' },
+            quality: { type: 'string', short: 'q', default: 'normal' },
+            compression: { type: 'string', default: 'none' },
+            units: { type: 'string', short: 'u', default: 'millimeter' },
+            'max-triangles': { type: 'string' },
+            lods: { type: 'string', default: '1' },
+            center: { type: 'boolean', default: false },
+            ground: { type: 'boolean', default: false },
+            'y-up': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) return { help: true };
+    if (!positionals.length) throw new UsageError('No input files given');
+
+    const preset = QUALITY_PRESETS[values.quality];
+    if (!preset) throw new UsageError(`Unknown quality preset "${values.quality}". Use one of: ${Object.keys(QUALITY_PRESETS).join(', ')}`);
+    if (!COMPRESSION_MODES.includes(values.compression)) {
+        throw new UsageError(`Unknown compression "${values.compression}". Use one of: ${COMPRESSION_MODES.join(', ')}`);
+    }
+    if (!LENGTH_UNITS[values.units]) {
+        throw new UsageError(`Unknown units "${values.units}". Use one of: ${Object.keys(LENGTH_UNITS).join(', ')}`);
+    }
+    const maxTriangles = values['max-triangles'] === undefined ? null : Number(values['max-triangles']);
+    if (maxTriangles !== null && !(Number.isInteger(maxTriangles) && maxTriangles > 0)) {
+        throw new UsageError(`--max-triangles must be a positive integer, got "${values['max-triangles']}"`);
+    }
+    const lodLevels = Number(values.lods);
+    if (!Number.isInteger(lodLevels) || lodLevels < 1 || lodLevels > MAX_LOD_LEVELS) {
+        throw new UsageError(`--lods must be an integer between 1 and ${MAX_LOD_LEVELS}, got "${values.lods}"`);
+    }
+
+    return {
+        inputs: positionals,
+        outDir: values.out,
+        manifestPath: values.manifest || path.join(values.out, 'manifest.json'),
+        // Same shape as parseConvertOptions() in server.js
+        options: {
+            preservePosition: !(values.center || values.ground),
+            centerModel: values.center,
+            groundModel: values.ground,
+            rotateToYUp: values['y-up'],
+            compression: values.compression,
+            units: values.units,
+            simplify: maxTriangles || lodLevels > 1 ? { maxTriangles, lodLevels } : null,
+            tessellation: { quality: values.quality, deflectionMode: 'relative', ...preset }
+        }
+    };
+}
+
+/**
+ * Expand directories into the CAD files they contain; plain files are kept as given
+ */
+async function collectInputs(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        const stat = await fsp.stat(input).catch(() => null);
+        if (!stat?.isDirectory()) {
+            files.push(input);
+            continue;
+        }
+        const entries = await fsp.readdir(input, { withFileTypes: true });
+        files.push(...entries
+            .filter(e => e.isFile() && CAD_FORMATS[path.extname(e.name).toLowerCase()])
+            .map(e => path.join(input, e.name))
+            .sort());
+    }
+    return files;
+}
+
+// Error codes match the ones /api/convert returns
+function fail(entry, code, error) {
+    return Object.assign(entry, { success: false, output: null, code, error });
+}
+
+/**
+ * Convert one file and return its manifest entry. Never throws.
+ */
+async function convertFile(filePath, outPath, options) {
+    const entry = { input: filePath, output: outPath, format: CAD_FORMATS[path.extname(filePath).toLowerCase()] || null };
+    const timings = {};
+    // processCADFile reports phase timings over a MessagePort; collect them directly
+    const port = { postMessage: (msg) => { if (msg.type === 'timing') timings[msg.phase] = msg.ms; }, close() {} };
+    const startedAt = performance.now();
+
+    try {
+        if (!entry.format) {
+            return fail(entry, 'UNSUPPORTED_FORMAT', `Unsupported format "${path.extname(filePath)}". Supported: ${Object.keys(CAD_FORMATS).join(', ')}`);
+        }
+        const result = await processCADFile({ filePath, outPath, format: entry.format, options, port });
+        if (!result.success) return fail(entry, result.code, result.error);
+        Object.assign(entry, { success: true, meshCount: result.meshCount, bounds: result.bounds, units: result.units, simplification: result.simplification, size: result.size });
+    } catch (e) {
+        fail(entry, e.code === 'ENOENT' ? 'NOT_FOUND' : 'CONVERSION_FAILED', e.message);
+    } finally {
+        entry.durationMs = Math.round(performance.now() - startedAt);
+        entry.timings = timings;
+    }
+    return entry;
+}
+
+async function main(argv) {
+    let args;
+    try {
+        args = parseCommandLine(argv);
+    } catch (e) {
+        // parseArgs throws TypeErrors with ERR_PARSE_ARGS_* codes for unknown or malformed flags
+        if (!(e instanceof UsageError) && !e.code?.startsWith('ERR_PARSE_ARGS')) throw e;
+        process.stderr.write(`${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const files = await collectInputs(args.inputs);
+    if (!files.length) {
+        process.stderr.write('No CAD files found in the given inputs\n');
+        return 2;
+    }
+    await fsp.mkdir(args.outDir, { recursive: true });
+
+    const entries = [];
+    const outputs = new Set();
+    for (const [i, filePath] of files.entries()) {
+        const outPath = path.join(args.outDir, `${path.parse(filePath).name}.glb`);
+        let entry;
+        if (outputs.has(outPath)) {
+            // Two inputs with the same base name would overwrite each other's GLB
+            entry = fail({ input: filePath }, 'CONFLICT', `Output ${outPath} is already used by another input`);
+        } else {
+            outputs.add(outPath);
+            entry = await convertFile(filePath, outPath, args.options);
+        }
+        entries.push(entry);
+
+        const status = entry.success
+            ? `ok    ${entry.meshCount} meshes, ${(entry.size / 1024).toFixed(1)} KB, ${entry.durationMs} ms`
+            : `FAIL  ${entry.code}: ${entry.error}`;
+        process.stdout.write(`[${i + 1}/${files.length}] ${filePath}  ${status}\n`);
+    }
+
+    const failed = entries.filter(e => !e.success).length;
+    const manifest = {
+        createdAt: new Date().toISOString(),
+        options: args.options,
+        converted: entries.length - failed,
+        failed,
+        files: entries
+    };
+    await fsp.mkdir(path.dirname(args.manifestPath), { recursive: true });
+    await fsp.writeFile(args.manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+
+    process.stdout.write(`${manifest.converted} converted, ${failed} failed. Manifest: ${args.manifestPath}\n`);
+    return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+    (code) => { process.exitCode = code; },
+    (e) => {
+        process.stderr.write(`${e.stack || e.message}\n`);
+        process.exitCode = 1;
+    }
+);
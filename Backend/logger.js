@@ -0,0 +1,63 @@
+// Backend/logger.js
+// Structured logging: one JSON object per line, so the log stack can search by field.
+//   LOG_LEVEL  - lowest level written: debug | info (default) | warn | error
+//   LOG_FORMAT - json (default) or pretty, a readable line for local development
+// Settings are read on the first write, after server.js has loaded .env.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+let settings = null;
+
+function getSettings() {
+    settings ??= {
+        minLevel: LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info,
+        pretty: process.env.LOG_FORMAT === 'pretty'
+    };
+    return settings;
+}
+
+// Errors have no enumerable fields, so JSON.stringify would turn them into {}
+function serializeError(error) {
+    return {
+        message: error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.details && { details: error.details }),
+        stack: error.stack
+    };
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const pairs = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${pairs.length ? ` ${pairs.join(' ')}` : ''}`;
+}
+
+function write(level, msg, fields) {
+    const { minLevel, pretty } = getSettings();
+    if (LEVELS[level] < minLevel) return;
+
+    const entry = { time: new Date().toISOString(), level, msg };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${pretty ? formatPretty(entry) : JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Logger whose every line carries `bindings` (e.g. { sessionId }).
+ * Each method takes a message and optional fields; child() adds more bindings.
+ */
+export function createLogger(bindings = {}) {
+    const log = (level) => (msg, fields = {}) => write(level, msg, { ...bindings, ...fields });
+    return {
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        child: (more) => createLogger({ ...bindings, ...more })
+    };
+}
+
+export const logger = createLogger();
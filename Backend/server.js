@@ -4,11 +4,22 @@ import multer from 'multer';
 import cors from 'cors';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import { promises as fsp } from 'fs';
 import { v4 as uuidv4 } from 'uuid';
 import { fileURLToPath } from 'url';
+import { MessageChannel } from 'worker_threads';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import os from 'os';
 import dotenv from 'dotenv';
+import { Piscina } from 'piscina';
+import yauzl from 'yauzl';
+import { COMPRESSION_MODES } from './workers/glbCompression.js';
+import { CAD_FORMATS, QUALITY_PRESETS } from './workers/occtWorker.js';
+import { LENGTH_UNITS } from './workers/cadUnits.js';
+import { MAX_LOD_LEVELS } from './workers/glbSimplify.js';
+import { logger } from './logger.js';
 
 dotenv.config();
 
@@ -26,29 +37,256 @@ const CONFIG = {
     CLEANUP_INTERVAL_MS: 15 * 60 * 1000,        // Run cleanup every 15 minutes
     MAX_FILE_AGE_MS: 60 * 60 * 1000,            // Delete files older than 1 hour
     MAX_STORAGE_MB: 5 * 1024,                    // Max 5GB storage
+    WORKSPACE_QUOTA_MB: Number(process.env.WORKSPACE_QUOTA_MB) || 1024, // Per-workspace share of it (see WORKSPACES)
     MIN_FREE_SPACE_MB: 500,                      // Keep at least 500MB free
     
     // Upload limits
     MAX_FILE_SIZE: 2 * 1024 * 1024 * 1024,      // 2GB max file size
-    MAX_CONCURRENT_JOBS: 5,                      // Max concurrent conversions
+    MAX_CONCURRENT_JOBS: 5,                      // Max concurrent conversions (worker pool size)
+    MAX_QUEUE_DEPTH: 20,                         // Conversions allowed to wait for a free slot
+    MAX_BATCH_FILES: 50,                         // Files in one batch conversion, zip contents included
+    UPLOAD_CHUNK_SIZE: 8 * 1024 * 1024,          // Chunk size suggested to resumable upload clients
+    UPLOAD_RESUME_WINDOW_MS: 60 * 60 * 1000,     // Keep an idle partial upload resumable for 1 hour
     
     // Timeout settings
     REQUEST_TIMEOUT_MS: 30 * 60 * 1000,         // 30 minute timeout
+    JOB_TIMEOUT_MS: 25 * 60 * 1000,             // Abort a single conversion after 25 minutes
+    WORKER_IDLE_TIMEOUT_MS: 5 * 60 * 1000,      // Terminate idle workers (and their OCCT heap) after 5 minutes
+    SSE_KEEPALIVE_MS: 15 * 1000,                 // Ping open progress streams every 15 seconds
+    QUEUE_ABANDON_MS: 30 * 1000,                 // Drop a queued job nobody has watched or polled for 30 seconds
+    METADATA_SAVE_DELAY_MS: 1000,                // Batch metadata changes into one write per second
 };
 
+// ============================================
+// ERRORS
+// ============================================
+// Every error response is { error, code, details? }: `error` is for people,
+// `code` for clients deciding what to tell the user or whether to retry.
+const ERROR_CODES = {
+    BAD_REQUEST: 400,
+    INVALID_OPTIONS: 400,
+    INVALID_FILENAME: 400,
+    NO_FILE: 400,
+    UNAUTHORIZED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    CONFLICT: 409,
+    OFFSET_MISMATCH: 409,
+    UPLOAD_INCOMPLETE: 409,
+    CANCELLED: 409,
+    TOO_LARGE: 413,
+    QUOTA_EXCEEDED: 413,
+    UNSUPPORTED_FORMAT: 415,
+    CONTENT_MISMATCH: 415,
+    PARSE_FAILED: 422,
+    EMPTY_GEOMETRY: 422,
+    CONVERSION_FAILED: 500,
+    INTERNAL_ERROR: 500,
+    QUEUE_FULL: 503,
+    INTERRUPTED: 503,
+    TIMEOUT: 504
+};
+
+/**
+ * Error carrying one of ERROR_CODES, its HTTP status and optional details
+ */
+function apiError(code, message, details) {
+    return Object.assign(new Error(message), { code, status: ERROR_CODES[code], ...(details && { details }) });
+}
+
+function errorCodeOf(e) {
+    return ERROR_CODES[e.code] ? e.code : 'INTERNAL_ERROR';
+}
+
+/**
+ * Answer with an error; `extra` adds route-specific fields (upload offset, job status, ...)
+ */
+function sendError(res, e, extra = {}) {
+    const code = errorCodeOf(e);
+    res.status(ERROR_CODES[code]).json({
+        ...extra,
+        error: e.message,
+        code,
+        ...(e.details && { details: e.details })
+    });
+}
+
+/**
+ * Log a failure: server faults as errors with the stack, bad input as warnings
+ */
+function logError(log, msg, e) {
+    const code = errorCodeOf(e);
+    if (ERROR_CODES[code] >= 500) log.error(msg, { code, error: e });
+    else log.warn(msg, { code, error: e.message });
+}
+
+// ============================================
+// REQUEST TRACING
+// ============================================
+// Every response carries an X-Request-Id and req.log stamps it on each log line.
+// Conversions use the id as their session id (the job id for /api/jobs), so a
+// client can quote it to find everything logged for its model.
+app.use((req, res, next) => {
+    req.id = uuidv4();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = Date.now();
+    res.on('finish', () => {
+        // The UI polls the health check and scrapers the metrics every few seconds.
+        // The query string is left out: it may hold an API key.
+        const urlPath = req.originalUrl.split('?')[0];
+        const level = urlPath === '/api/health' || urlPath === '/metrics' ? 'debug' : 'info';
+        req.log[level]('Request', { method: req.method, path: urlPath, status: res.statusCode, durationMs: Date.now() - startedAt });
+    });
+    next();
+});
+
+// ============================================
+// AUTHENTICATION & CORS
+// ============================================
+// API keys come from .env as comma-separated lists:
+//   ADMIN_API_KEYS - maintenance and destructive routes, plus everything a user may do
+//   USER_API_KEYS  - converting and viewing models; when unset those routes stay open
+// Clients send `Authorization: Bearer <key>` or `X-API-Key: <key>`. EventSource
+// cannot set headers, so GET requests may pass `?apiKey=<key>` instead.
+// A key may name its workspace as `key:workspace`; otherwise it gets one of its own.
+// Without user keys, callers choose a workspace with X-Workspace-Id.
+// CORS_ORIGINS is the allow-list of browser origins; unset or "*" allows any.
+const ROLE_LEVELS = { user: 1, admin: 2 };
+const WORKSPACE_PATTERN = /^[\w-]{1,64}$/;
+const DEFAULT_WORKSPACE = 'public';
+
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+function parseApiKeys(value, role) {
+    return parseList(value).map((entry) => {
+        const separator = entry.lastIndexOf(':');
+        const key = separator > 0 ? entry.slice(0, separator) : entry;
+        const digest = hashKey(key);
+        const workspace = separator > 0 ? entry.slice(separator + 1) : `key-${digest.toString('hex').slice(0, 12)}`;
+        if (!WORKSPACE_PATTERN.test(workspace)) {
+            throw new Error(`Invalid workspace "${workspace}" in the ${role} API keys`);
+        }
+        return { digest, role, workspace };
+    });
+}
+
+const apiKeys = [
+    ...parseApiKeys(process.env.USER_API_KEYS, 'user'),
+    ...parseApiKeys(process.env.ADMIN_API_KEYS, 'admin')
+];
+const userKeyRequired = apiKeys.some(({ role }) => role === 'user');
+
+const corsOrigins = parseList(process.env.CORS_ORIGINS);
+const corsOrigin = corsOrigins.length === 0 || corsOrigins.includes('*') ? '*' : corsOrigins;
+
+function getRequestKey(req) {
+    const bearer = req.get('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+    if (bearer) return bearer.trim();
+    if (req.get('x-api-key')) return req.get('x-api-key').trim();
+    if (req.method === 'GET' && typeof req.query.apiKey === 'string') return req.query.apiKey;
+    return null;
+}
+
+/**
+ * Configured entry for an API key (the highest role if listed twice), or null.
+ * Compares digests in constant time and checks every key.
+ */
+function findApiKey(key) {
+    const digest = hashKey(key);
+    let match = null;
+    for (const candidate of apiKeys) {
+        if (crypto.timingSafeEqual(digest, candidate.digest) && ROLE_LEVELS[candidate.role] > (ROLE_LEVELS[match?.role] || 0)) {
+            match = candidate;
+        }
+    }
+    return match;
+}
+
+/**
+ * Resolve the caller's role and workspace into req.role and req.workspace.
+ * A key that is sent must be valid; without one the caller is an anonymous
+ * user when no user keys are configured.
+ */
+function authenticate(req, res, next) {
+    const key = getRequestKey(req);
+    req.hasApiKey = !!key;
+    if (key) {
+        const match = findApiKey(key);
+        if (!match) return sendError(res, apiError('UNAUTHORIZED', 'Invalid API key'));
+        req.role = match.role;
+        req.workspace = match.workspace;
+    } else {
+        const workspace = req.get('x-workspace-id') || DEFAULT_WORKSPACE;
+        if (!WORKSPACE_PATTERN.test(workspace)) return sendError(res, apiError('BAD_REQUEST', 'Invalid X-Workspace-Id'));
+        req.role = userKeyRequired ? null : 'user';
+        req.workspace = workspace;
+    }
+    next();
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if ((ROLE_LEVELS[req.role] || 0) >= ROLE_LEVELS[role]) return next();
+        if (!req.hasApiKey) return sendError(res, apiError('UNAUTHORIZED', 'API key required'));
+        sendError(res, apiError('FORBIDDEN', `This endpoint requires the ${role} role`, { requiredRole: role }));
+    };
+}
+
+const requireUser = requireRole('user');
+const requireAdmin = requireRole('admin');
+
+// CORS first so auth failures still reach the browser; auth before any body is parsed
+app.use(cors({ origin: corsOrigin, exposedHeaders: ['X-Request-Id'] }));
+app.use(authenticate);
 app.use(express.json({ limit: '1024mb' }));
-app.use(cors({ origin: '*' }));
 
+// Everything under /api needs a user, except the health check the UI polls
+app.use('/api', (req, res, next) => (req.path === '/health' ? next() : requireUser(req, res, next)));
+
+// ============================================
+// STORAGE
+// ============================================
 const uploadsDir = path.join(__dirname, 'uploads');
 const convertedDir = path.join(__dirname, 'uploads', 'converted');
 const tempDir = path.join(__dirname, 'uploads', 'temp');
+const dataDir = path.join(__dirname, 'data');
 
 // Create directories
-[uploadsDir, convertedDir, tempDir].forEach(dir => {
+[uploadsDir, convertedDir, tempDir, dataDir].forEach(dir => {
     fs.mkdirSync(dir, { recursive: true });
 });
 
-app.use('/converted', express.static(convertedDir));
+// Names the server gives its files. Converted models are `<sha256>.glb`
+// (`<uuid>.glb` before the conversion cache); uploads are `<uuid>.<ext>`.
+const UUID_SOURCE = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+const CONVERTED_NAME_PATTERN = new RegExp(`^(?:[0-9a-f]{64}|${UUID_SOURCE})\\.glb$`);
+const UPLOAD_NAME_PATTERN = new RegExp(`^${UUID_SOURCE}\\.[a-z0-9]{1,8}$`, 'i');
+
+/**
+ * Absolute path of a client-supplied file name inside `dirPath`, or null when
+ * the name is not one we hand out or would resolve outside the directory
+ */
+function resolveStoredFile(dirPath, filename, pattern) {
+    if (typeof filename !== 'string' || !pattern.test(filename)) return null;
+    const filePath = path.resolve(dirPath, filename);
+    return path.dirname(filePath) === path.resolve(dirPath) ? filePath : null;
+}
+
+// Models are only served to their own workspace; serving one counts as using it (see getIdleTime)
+app.use('/converted', requireUser, (req, res, next) => {
+    const filename = path.basename(req.path);
+    if (req.path !== `/${filename}` || !resolveStoredFile(convertedDir, filename, CONVERTED_NAME_PATTERN) || !canAccessFile(req, filename)) {
+        return sendError(res, apiError('NOT_FOUND', 'File not found'));
+    }
+    if (req.method === 'GET') touchFile(filename);
+    next();
+}, express.static(convertedDir));
 
 const storage = multer.diskStorage({
     destination: (req, file, cb) => cb(null, uploadsDir),
@@ -57,14 +295,19 @@ const storage = multer.diskStorage({
 
 const upload = multer({ 
     storage,
-    limits: { fileSize: CONFIG.MAX_FILE_SIZE } 
+    limits: { fileSize: CONFIG.MAX_FILE_SIZE, files: CONFIG.MAX_BATCH_FILES }
 });
 
+function tooLargeError() {
+    return apiError('TOO_LARGE', `File too large. Maximum is ${CONFIG.MAX_FILE_SIZE / 1024 / 1024} MB`, {
+        maxBytes: CONFIG.MAX_FILE_SIZE
+    });
+}
+
 // ============================================
 // STATE MANAGEMENT
 // ============================================
 let processingCount = 0;
-let occtInstance = null;
 let cleanupStats = {
     lastRun: null,
     filesDeleted: 0,
@@ -72,8 +315,12 @@ let cleanupStats = {
     totalCleanups: 0
 };
 
-// Track active files (files currently being processed or recently created)
-const activeFiles = new Map(); // filename -> { createdAt, sessionId }
+// Track active files (files currently being processed or recently used).
+// A claim only protects its file while lastSeenAt is within MAX_FILE_AGE_MS (see isFileInUse).
+const activeFiles = new Map(); // filename -> { lastSeenAt, sessionId, sessions }
+
+// What we know about each converted file, kept across restarts (see METADATA STORE)
+const fileMetadata = new Map(); // filename -> { workspace, originalName, format, options, size, meshCount, bounds, units, createdAt, lastAccess }
 
 // ============================================
 // CLEANUP UTILITIES
@@ -100,7 +347,7 @@ async function getDirectorySize(dirPath) {
             }
         }
     } catch (e) {
-        console.warn(`Could not read directory ${dirPath}:`, e.message);
+        logger.warn('Could not read directory', { dir: dirPath, error: e.message });
     }
     return totalSize;
 }
@@ -119,7 +366,7 @@ async function getFreeDiskSpace() {
         // For Windows, return a large number (we'll rely on directory size limits)
         return 100 * 1024 * 1024 * 1024; // 100GB default
     } catch (e) {
-        console.warn('Could not get free disk space:', e.message);
+        logger.warn('Could not get free disk space', { error: e.message });
         return 100 * 1024 * 1024 * 1024;
     }
 }
@@ -150,22 +397,41 @@ async function getFilesWithStats(dirPath) {
             }
         }
     } catch (e) {
-        console.warn(`Could not read directory ${dirPath}:`, e.message);
+        logger.warn('Could not read directory', { dir: dirPath, error: e.message });
     }
     return files;
 }
 
+/**
+ * Time since a file was last used. Converted models count from their last
+ * access (served, cache hit or session heartbeat); everything else from its last write.
+ */
+function getIdleTime(dirPath, file) {
+    const lastAccess = dirPath === convertedDir ? fileMetadata.get(file.name)?.lastAccess : null;
+    return Date.now() - Math.max(lastAccess || 0, file.modifiedAt.getTime());
+}
+
+/**
+ * Whether a session still holds a file. Claims left behind by closed tabs
+ * lapse once nothing has used the file for the retention window.
+ */
+function isFileInUse(filename, now = Date.now()) {
+    const info = activeFiles.get(filename);
+    return !!info && now - info.lastSeenAt < CONFIG.MAX_FILE_AGE_MS;
+}
+
 /**
  * Delete a file safely
  */
 async function safeDeleteFile(filePath, reason = 'cleanup') {
     try {
         await fsp.unlink(filePath);
-        console.log(`   🗑️  Deleted: ${path.basename(filePath)} (${reason})`);
+        logger.info('Deleted file', { file: path.basename(filePath), reason });
+        if (path.dirname(filePath) === convertedDir) forgetFile(path.basename(filePath));
         return true;
     } catch (e) {
         if (e.code !== 'ENOENT') {
-            console.warn(`   ⚠️  Failed to delete ${path.basename(filePath)}:`, e.message);
+            logger.warn('Failed to delete file', { file: path.basename(filePath), error: e.message });
         }
         return false;
     }
@@ -192,16 +458,17 @@ async function cleanupDirectory(dirPath, options = {}) {
     try {
         const files = await getFilesWithStats(dirPath);
         results.filesChecked = files.length;
+        files.forEach(file => { file.age = getIdleTime(dirPath, file); });
 
-        // Sort by age (oldest first)
+        // Sort by age (least recently used first)
         files.sort((a, b) => b.age - a.age);
 
-        // Phase 1: Delete files older than maxAge
+        // Phase 1: Delete files unused for longer than maxAge
         for (const file of files) {
             if (file.age > maxAge) {
                 // Skip if file is actively being used
-                if (keepActive && activeFiles.has(file.name)) {
-                    console.log(`   ⏭️  Skipping active file: ${file.name}`);
+                if (keepActive && isFileInUse(file.name)) {
+                    logger.debug('Skipping active file', { file: file.name });
                     continue;
                 }
 
@@ -212,7 +479,7 @@ async function cleanupDirectory(dirPath, options = {}) {
                         results.spaceFreed += file.size;
                     }
                 } else {
-                    console.log(`   [DRY RUN] Would delete: ${file.name} (age: ${Math.round(file.age / 60000)}min)`);
+                    logger.info('Dry run: would delete file', { file: file.name, reason: 'age exceeded', ageMinutes: Math.round(file.age / 60000) });
                     results.filesDeleted++;
                     results.spaceFreed += file.size;
                 }
@@ -223,13 +490,14 @@ async function cleanupDirectory(dirPath, options = {}) {
         const currentSize = await getDirectorySize(dirPath);
         if (currentSize > maxSize) {
             const remainingFiles = await getFilesWithStats(dirPath);
+            remainingFiles.forEach(file => { file.age = getIdleTime(dirPath, file); });
             remainingFiles.sort((a, b) => b.age - a.age);
 
             let sizeToFree = currentSize - maxSize;
             for (const file of remainingFiles) {
                 if (sizeToFree <= 0) break;
                 
-                if (keepActive && activeFiles.has(file.name)) continue;
+                if (keepActive && isFileInUse(file.name)) continue;
 
                 if (!dryRun) {
                     const deleted = await safeDeleteFile(file.path, 'storage limit');
@@ -239,7 +507,7 @@ async function cleanupDirectory(dirPath, options = {}) {
                         sizeToFree -= file.size;
                     }
                 } else {
-                    console.log(`   [DRY RUN] Would delete: ${file.name} (storage limit)`);
+                    logger.info('Dry run: would delete file', { file: file.name, reason: 'storage limit' });
                     results.filesDeleted++;
                     results.spaceFreed += file.size;
                     sizeToFree -= file.size;
@@ -249,7 +517,7 @@ async function cleanupDirectory(dirPath, options = {}) {
 
     } catch (e) {
         results.errors.push(e.message);
-        console.error('Cleanup error:', e);
+        logger.error('Cleanup failed', { dir: dirPath, error: e });
     }
 
     return results;
@@ -259,21 +527,24 @@ async function cleanupDirectory(dirPath, options = {}) {
  * Run full cleanup on all directories
  */
 async function runFullCleanup(options = {}) {
-    console.log('\n🧹 Starting cleanup...');
+    logger.info('Cleanup started', { dryRun: !!options.dryRun });
     const startTime = Date.now();
     
     const results = {
+        orphans: await cleanupOrphanedFiles(options), // first, so expired claims no longer hold files below
         uploads: await cleanupDirectory(uploadsDir, options),
         converted: await cleanupDirectory(convertedDir, options),
-        temp: await cleanupDirectory(tempDir, { ...options, maxAge: 5 * 60 * 1000 }), // 5 min for temp
+        temp: await cleanupDirectory(tempDir, { ...options, maxAge: options.maxAge ?? CONFIG.UPLOAD_RESUME_WINDOW_MS }), // partial uploads
+        quotas: await enforceWorkspaceQuotas(options),
         duration: 0,
         timestamp: new Date().toISOString()
     };
 
     results.duration = Date.now() - startTime;
     
-    const totalDeleted = results.uploads.filesDeleted + results.converted.filesDeleted + results.temp.filesDeleted;
-    const totalFreed = results.uploads.spaceFreed + results.converted.spaceFreed + results.temp.spaceFreed;
+    const passes = [results.orphans, results.uploads, results.converted, results.temp, results.quotas];
+    const totalDeleted = passes.reduce((sum, r) => sum + r.filesDeleted, 0);
+    const totalFreed = passes.reduce((sum, r) => sum + r.spaceFreed, 0);
 
     // Update stats
     cleanupStats.lastRun = new Date().toISOString();
@@ -281,7 +552,7 @@ async function runFullCleanup(options = {}) {
     cleanupStats.spaceFreed += totalFreed;
     cleanupStats.totalCleanups++;
 
-    console.log(`✅ Cleanup complete: ${totalDeleted} files deleted, ${(totalFreed / 1024 / 1024).toFixed(2)} MB freed (${results.duration}ms)\n`);
+    logger.info('Cleanup complete', { filesDeleted: totalDeleted, bytesFreed: totalFreed, durationMs: results.duration });
 
     return results;
 }
@@ -292,7 +563,7 @@ async function runFullCleanup(options = {}) {
 async function clearAllFiles(options = {}) {
     const { keepRecent = false, maxRecentAge = 5 * 60 * 1000 } = options;
     
-    console.log('\n⚠️  CLEARING ALL FILES...');
+    logger.warn('Clearing all files', { keepRecent });
     
     const results = {
         uploads: { filesDeleted: 0, spaceFreed: 0 },
@@ -306,7 +577,7 @@ async function clearAllFiles(options = {}) {
             for (const file of files) {
                 // Optionally keep recent files
                 if (keepRecent && file.age < maxRecentAge) {
-                    console.log(`   ⏭️  Keeping recent: ${file.name}`);
+                    logger.debug('Keeping recent file', { file: file.name });
                     continue;
                 }
 
@@ -317,45 +588,54 @@ async function clearAllFiles(options = {}) {
                 }
             }
         } catch (e) {
-            console.error(`Error clearing ${dirName}:`, e);
+            logger.error('Could not clear directory', { dir: dirName, error: e });
         }
     }
 
     const totalDeleted = Object.values(results).reduce((sum, r) => sum + r.filesDeleted, 0);
     const totalFreed = Object.values(results).reduce((sum, r) => sum + r.spaceFreed, 0);
 
-    console.log(`✅ Cleared: ${totalDeleted} files, ${(totalFreed / 1024 / 1024).toFixed(2)} MB freed\n`);
+    logger.warn('Cleared all files', { filesDeleted: totalDeleted, bytesFreed: totalFreed });
 
     return results;
 }
 
 /**
- * Clean up orphaned files (files with no corresponding session)
+ * Clean up orphaned files (files with no corresponding session).
+ * Drops expired file claims, then deletes converted files older than ten
+ * minutes that neither a session nor the metadata store knows about.
  */
-async function cleanupOrphanedFiles() {
-    console.log('\n🔍 Cleaning up orphaned files...');
-    
+async function cleanupOrphanedFiles(options = {}) {
+    const { dryRun = false } = options;
     const now = Date.now();
-    let orphansDeleted = 0;
-
-    // Clean up activeFiles map (remove old entries)
-    for (const [filename, info] of activeFiles.entries()) {
-        if (now - info.createdAt > CONFIG.MAX_FILE_AGE_MS) {
-            activeFiles.delete(filename);
+    const results = { filesDeleted: 0, spaceFreed: 0 };
+
+    // Clean up activeFiles map (remove lapsed claims)
+    let expired = 0;
+    for (const filename of activeFiles.keys()) {
+        if (!isFileInUse(filename, now)) {
+            if (!dryRun) activeFiles.delete(filename);
+            expired++;
         }
     }
+    if (expired && !dryRun) persistMetadata();
 
-    // Check for files that are old but not in activeFiles
+    // Check for files that are old and unknown to both activeFiles and the metadata store
     const convertedFiles = await getFilesWithStats(convertedDir);
     for (const file of convertedFiles) {
-        if (file.age > 10 * 60 * 1000 && !activeFiles.has(file.name)) { // 10 minutes
-            const deleted = await safeDeleteFile(file.path, 'orphaned');
-            if (deleted) orphansDeleted++;
+        if (file.age > 10 * 60 * 1000 && !activeFiles.has(file.name) && !fileMetadata.has(file.name)) { // 10 minutes
+            if (dryRun) {
+                logger.info('Dry run: would delete file', { file: file.name, reason: 'orphaned' });
+            } else if (!await safeDeleteFile(file.path, 'orphaned')) {
+                continue;
+            }
+            results.filesDeleted++;
+            results.spaceFreed += file.size;
         }
     }
 
-    console.log(`✅ Orphaned cleanup: ${orphansDeleted} files deleted\n`);
-    return orphansDeleted;
+    logger.debug('Orphaned file cleanup complete', { claimsExpired: expired, filesDeleted: results.filesDeleted });
+    return results;
 }
 
 // ============================================
@@ -370,338 +650,1366 @@ function startScheduledCleanup() {
 
     // Initial cleanup on startup
     setTimeout(() => {
-        runFullCleanup().catch(console.error);
+        runFullCleanup().catch(e => logger.error('Startup cleanup failed', { error: e }));
     }, 5000);
 
     // Scheduled cleanup
     cleanupInterval = setInterval(() => {
-        runFullCleanup().catch(console.error);
+        pruneFinishedJobs();
+        pruneStaleUploads();
+        runFullCleanup().then(pruneConversionCache).catch(e => logger.error('Scheduled cleanup failed', { error: e }));
     }, CONFIG.CLEANUP_INTERVAL_MS);
 
-    console.log(`📅 Scheduled cleanup every ${CONFIG.CLEANUP_INTERVAL_MS / 60000} minutes`);
+    logger.info('Scheduled cleanup', { intervalMinutes: CONFIG.CLEANUP_INTERVAL_MS / 60000 });
 }
 
 function stopScheduledCleanup() {
     if (cleanupInterval) {
         clearInterval(cleanupInterval);
         cleanupInterval = null;
-        console.log('⏹️  Scheduled cleanup stopped');
+        logger.info('Scheduled cleanup stopped');
     }
 }
 
 // ============================================
-// INIT OCCT
+// WORKER POOL
 // ============================================
-async function initOCCT() {
-    if (occtInstance) return occtInstance;
-    try {
-        const occtModule = await import('occt-import-js');
-        const wasmPath = path.join(__dirname, 'node_modules', 'occt-import-js', 'dist', 'occt-import-js.wasm');
-        if (fs.existsSync(wasmPath)) {
-            const wasmBinary = await fsp.readFile(wasmPath);
-            occtInstance = await occtModule.default({ wasmBinary });
-            console.log("✅ OCCT Library Initialized");
-            return occtInstance;
+// CAD parsing is synchronous inside OCCT, so it must never run on the
+// Express thread. Each worker keeps its own OCCT instance until it idles out.
+// glTF validation and optimization run in the same pool (see GLTF_WORKER).
+const conversionPool = new Piscina({
+    filename: new URL('./workers/occtWorker.js', import.meta.url).href,
+    minThreads: 0,
+    maxThreads: CONFIG.MAX_CONCURRENT_JOBS,
+    idleTimeout: CONFIG.WORKER_IDLE_TIMEOUT_MS
+});
+
+// Conversions currently in the pool
+const runningJobs = new Map(); // sessionId -> { controller, startedAt, phase, percent }
+
+const GLTF_WORKER = new URL('./workers/gltfWorker.js', import.meta.url).href;
+
+/**
+ * Run a conversion in the worker pool with its own timeout and abort controller.
+ * `filename` picks another worker module than the OCCT one.
+ * Phase timings reported by the worker are logged as they arrive and again
+ * together when the conversion ends, however it ends.
+ */
+function runConversionJob(sessionId, task, { timeoutMs = CONFIG.JOB_TIMEOUT_MS, onProgress, filename } = {}) {
+    const controller = new AbortController();
+    const { port1, port2 } = new MessageChannel();
+    const job = { controller, startedAt: Date.now(), phase: 'queued', percent: 0, timings: {} };
+    const log = logger.child({ sessionId });
+    runningJobs.set(sessionId, job);
+
+    port1.on('message', (msg) => {
+        if (msg.type === 'timing') {
+            job.timings[msg.phase] = msg.ms;
+            log.debug('Phase finished', { phase: msg.phase, durationMs: msg.ms });
+            return;
         }
-    } catch (e) { 
-        console.warn('⚠️ OCCT Init Error:', e.message); 
+        if (msg.type !== 'progress') return;
+        job.phase = msg.phase;
+        job.percent = msg.percent;
+        onProgress?.(msg);
+    });
+
+    const timer = setTimeout(() => {
+        controller.abort(apiError('TIMEOUT', `Conversion timed out after ${Math.round(timeoutMs / 60000)} minutes`, { timeoutMs }));
+    }, timeoutMs);
+
+    return conversionPool.run(
+        { ...task, port: port2 },
+        { transferList: [port2], signal: controller.signal, ...(filename && { filename }) }
+    ).catch((e) => {
+        // Surface our own abort reason instead of Piscina's generic AbortError
+        throw controller.signal.aborted ? controller.signal.reason : e;
+    }).finally(() => {
+        clearTimeout(timer);
+        port1.close();
+        runningJobs.delete(sessionId);
+        log.info('Conversion phases', { timings: job.timings, durationMs: Date.now() - job.startedAt, lastPhase: job.phase });
+    });
+}
+
+/**
+ * Abort a running conversion; the worker thread running it is terminated
+ */
+function cancelConversionJob(sessionId, reason = 'Conversion cancelled') {
+    const job = runningJobs.get(sessionId);
+    if (!job) return false;
+    job.controller.abort(apiError('CANCELLED', reason));
+    return true;
+}
+
+// ============================================
+// JOB QUEUE
+// ============================================
+// Conversions beyond MAX_CONCURRENT_JOBS wait here (FIFO) instead of being
+// turned away. processingCount counts the slots handed out.
+const waitingQueue = []; // { sessionId, resolve, reject, onPosition, isAbandoned, position }
+let queueSweepTimer = null;
+
+function isQueueFull() {
+    return processingCount >= CONFIG.MAX_CONCURRENT_JOBS && waitingQueue.length >= CONFIG.MAX_QUEUE_DEPTH;
+}
+
+function queueFullError() {
+    return apiError('QUEUE_FULL', 'Server busy and conversion queue full. Please try again later.', {
+        activeJobs: processingCount,
+        maxJobs: CONFIG.MAX_CONCURRENT_JOBS,
+        queued: waitingQueue.length,
+        maxQueueDepth: CONFIG.MAX_QUEUE_DEPTH
+    });
+}
+
+/**
+ * Tell every waiting entry its 1-based position, but only when it changed
+ */
+function notifyQueuePositions() {
+    waitingQueue.forEach((entry, index) => {
+        if (entry.position === index + 1) return;
+        entry.position = index + 1;
+        entry.onPosition?.(entry.position);
+    });
+}
+
+/**
+ * Remove queued entries whose client is gone
+ */
+function sweepQueue() {
+    for (const entry of [...waitingQueue]) {
+        if (entry.isAbandoned?.()) leaveQueue(entry.sessionId, 'Client disconnected while queued');
+    }
+    if (waitingQueue.length === 0 && queueSweepTimer) {
+        clearInterval(queueSweepTimer);
+        queueSweepTimer = null;
     }
-    return null;
 }
 
 /**
- * Release OCCT instance to free memory
+ * Hand free slots to the oldest waiting entries
  */
-function releaseOCCT() {
-    if (occtInstance) {
-        occtInstance = null;
-        // Force garbage collection if available
-        if (global.gc) {
-            global.gc();
+function dequeueNext() {
+    while (processingCount < CONFIG.MAX_CONCURRENT_JOBS && waitingQueue.length > 0) {
+        const entry = waitingQueue.shift();
+        if (entry.isAbandoned?.()) {
+            entry.reject(apiError('CANCELLED', 'Client disconnected while queued'));
+            continue;
         }
-        console.log('🧹 OCCT instance released');
+        processingCount++;
+        entry.resolve();
+    }
+    notifyQueuePositions();
+}
+
+/**
+ * Wait for a conversion slot. Resolves at once when one is free; otherwise
+ * the caller is queued and `onPosition` hears about every position change.
+ * Throws QUEUE_FULL when the queue is full.
+ */
+function acquireSlot(sessionId, { onPosition, isAbandoned } = {}) {
+    if (processingCount < CONFIG.MAX_CONCURRENT_JOBS && waitingQueue.length === 0) {
+        processingCount++;
+        return Promise.resolve();
     }
+    if (waitingQueue.length >= CONFIG.MAX_QUEUE_DEPTH) throw queueFullError();
+
+    return new Promise((resolve, reject) => {
+        waitingQueue.push({ sessionId, resolve, reject, onPosition, isAbandoned, position: null });
+        notifyQueuePositions();
+        if (isAbandoned && !queueSweepTimer) {
+            queueSweepTimer = setInterval(sweepQueue, CONFIG.QUEUE_ABANDON_MS / 3);
+            queueSweepTimer.unref();
+        }
+    });
+}
+
+/**
+ * Give a slot back and start the next queued conversion
+ */
+function releaseSlot() {
+    processingCount--;
+    dequeueNext();
+}
+
+/**
+ * Take a session out of the queue; its acquireSlot() promise rejects with `reason`
+ */
+function leaveQueue(sessionId, reason = 'Removed from queue', code = 'CANCELLED') {
+    const index = waitingQueue.findIndex(entry => entry.sessionId === sessionId);
+    if (index === -1) return false;
+    const [entry] = waitingQueue.splice(index, 1);
+    entry.reject(apiError(code, reason));
+    notifyQueuePositions();
+    return true;
 }
 
 // ============================================
-// GEOMETRY PROCESSING OPTIONS
+// METRICS
 // ============================================
+// Counters behind GET /metrics (Prometheus text format). Gauges such as queue
+// depth and storage are read from the live state when scraped instead.
+const DURATION_BUCKETS = [0.5, 1, 2, 5, 10, 30, 60, 120, 300, 600, 1500]; // seconds
 
-function getModelBounds(meshes) {
-    let minX = Infinity, minY = Infinity, minZ = Infinity;
-    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
-
-    meshes.forEach(mesh => {
-        const pos = mesh.positions;
-        for (let i = 0; i < pos.length; i += 3) {
-            const x = pos[i], y = pos[i+1], z = pos[i+2];
-            if (x < minX) minX = x; if (x > maxX) maxX = x;
-            if (y < minY) minY = y; if (y > maxY) maxY = y;
-            if (z < minZ) minZ = z; if (z > maxZ) maxZ = z;
-        }
-    });
+const conversionCounts = new Map();     // "format|outcome" -> count
+const conversionDurations = new Map();  // format -> { buckets, sum, count }
 
-    return {
-        min: { x: minX, y: minY, z: minZ },
-        max: { x: maxX, y: maxY, z: maxZ },
-        center: {
-            x: (minX + maxX) / 2,
-            y: (minY + maxY) / 2,
-            z: (minZ + maxZ) / 2
-        },
-        size: {
-            x: maxX - minX,
-            y: maxY - minY,
-            z: maxZ - minZ
-        }
-    };
+/**
+ * How a conversion ended, as the `outcome` label: success, cached, cancelled, timeout or failed
+ */
+function conversionOutcome(e) {
+    const code = errorCodeOf(e);
+    if (code === 'CANCELLED') return 'cancelled';
+    if (code === 'TIMEOUT') return 'timeout';
+    return 'failed';
 }
 
-function processGeometry(meshes, options = {}) {
-    const {
-        preservePosition = true,
-        centerModel = false,
-        groundModel = false,
-        rotateToYUp = false
-    } = options;
+/**
+ * Count a finished conversion; `seconds` is only given for conversions that ran in the pool
+ */
+function recordConversion(format, outcome, seconds) {
+    const key = `${format}|${outcome}`;
+    conversionCounts.set(key, (conversionCounts.get(key) || 0) + 1);
+    if (seconds === undefined) return;
 
-    if (preservePosition && !rotateToYUp) {
-        console.log("   📍 Preserving original position");
-        return meshes;
+    if (!conversionDurations.has(format)) {
+        conversionDurations.set(format, { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 });
     }
+    const histogram = conversionDurations.get(format);
+    DURATION_BUCKETS.forEach((bound, i) => {
+        if (seconds <= bound) histogram.buckets[i]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+}
 
-    const bounds = getModelBounds(meshes);
-    console.log(`   📐 Model bounds: ${JSON.stringify(bounds.size)}`);
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
 
-    meshes.forEach(mesh => {
-        const pos = mesh.positions;
-        const norm = mesh.normals;
+/**
+ * One metric family: HELP and TYPE lines, then `samples` as [labels, value] or
+ * [labels, value, nameSuffix] (histograms add _bucket, _sum and _count)
+ */
+function formatMetric(name, type, help, samples) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    for (const [labels, value, suffix = ''] of samples) {
+        const pairs = Object.entries(labels).map(([key, val]) => `${key}="${escapeLabel(val)}"`);
+        lines.push(`${name}${suffix}${pairs.length ? `{${pairs.join(',')}}` : ''} ${value}`);
+    }
+    return lines.join('\n');
+}
 
-        for (let i = 0; i < pos.length; i += 3) {
-            let x = pos[i], y = pos[i + 1], z = pos[i + 2];
+async function renderMetrics() {
+    const convertedSize = await getDirectorySize(convertedDir);
+    const tempSize = await getDirectorySize(tempDir);
+    // uploadsDir holds the other two, so count only the raw uploads under its name
+    const uploadsSize = await getDirectorySize(uploadsDir) - convertedSize - tempSize;
+    const freeSpace = await getFreeDiskSpace();
+    const memory = process.memoryUsage();
+
+    const counts = [...conversionCounts].map(([key, count]) => {
+        const [format, outcome] = key.split('|');
+        return [{ format, outcome }, count];
+    });
+    const durations = [...conversionDurations].flatMap(([format, { buckets, sum, count }]) => [
+        ...DURATION_BUCKETS.map((bound, i) => [{ format, le: bound }, buckets[i], '_bucket']),
+        [{ format, le: '+Inf' }, count, '_bucket'],
+        [{ format }, sum, '_sum'],
+        [{ format }, count, '_count']
+    ]);
+
+    return [
+        formatMetric('converter_conversions_total', 'counter', 'Conversions by input format and outcome', counts),
+        formatMetric('converter_conversion_duration_seconds', 'histogram', 'Time conversions spent in the worker pool', durations),
+        formatMetric('converter_active_jobs', 'gauge', 'Conversions holding a slot', [[{}, processingCount]]),
+        formatMetric('converter_max_jobs', 'gauge', 'Conversion slots (MAX_CONCURRENT_JOBS)', [[{}, CONFIG.MAX_CONCURRENT_JOBS]]),
+        formatMetric('converter_queue_depth', 'gauge', 'Conversions waiting for a slot', [[{}, waitingQueue.length]]),
+        formatMetric('converter_queue_max_depth', 'gauge', 'Conversions allowed to wait (MAX_QUEUE_DEPTH)', [[{}, CONFIG.MAX_QUEUE_DEPTH]]),
+        formatMetric('converter_cache_hits_total', 'counter', 'Uploads served from the conversion cache', [[{}, cacheStats.hits]]),
+        formatMetric('converter_cache_misses_total', 'counter', 'Uploads that needed a conversion', [[{}, cacheStats.misses]]),
+        formatMetric('converter_storage_bytes', 'gauge', 'Bytes stored per directory', [
+            [{ directory: 'uploads' }, uploadsSize],
+            [{ directory: 'converted' }, convertedSize],
+            [{ directory: 'temp' }, tempSize]
+        ]),
+        formatMetric('converter_storage_free_bytes', 'gauge', 'Free disk space next to the server', [[{}, freeSpace]]),
+        formatMetric('converter_cleanup_runs_total', 'counter', 'Cleanup runs since start', [[{}, cleanupStats.totalCleanups]]),
+        formatMetric('converter_cleanup_files_deleted_total', 'counter', 'Files deleted by cleanup runs', [[{}, cleanupStats.filesDeleted]]),
+        formatMetric('converter_cleanup_bytes_freed_total', 'counter', 'Bytes freed by cleanup runs', [[{}, cleanupStats.spaceFreed]]),
+        formatMetric('converter_cleanup_last_run_timestamp_seconds', 'gauge', 'When cleanup last ran (0 = never)', [
+            [{}, cleanupStats.lastRun ? Date.parse(cleanupStats.lastRun) / 1000 : 0]
+        ]),
+        formatMetric('process_resident_memory_bytes', 'gauge', 'Resident set size', [[{}, memory.rss]]),
+        formatMetric('nodejs_heap_size_used_bytes', 'gauge', 'V8 heap in use', [[{}, memory.heapUsed]]),
+        formatMetric('nodejs_heap_size_total_bytes', 'gauge', 'V8 heap allocated', [[{}, memory.heapTotal]]),
+        formatMetric('nodejs_external_memory_bytes', 'gauge', 'Memory held by C++ objects bound to JS', [[{}, memory.external]]),
+        formatMetric('process_uptime_seconds', 'gauge', 'Seconds since the server started', [[{}, process.uptime()]])
+    ].join('\n\n') + '\n';
+}
 
-            if (rotateToYUp) {
-                const tempY = y;
-                y = z;
-                z = -tempY;
-            }
+// ============================================
+// CONVERSION PIPELINE
+// ============================================
 
-            if (centerModel) {
-                x -= bounds.center.x;
-                if (rotateToYUp) {
-                    y -= bounds.center.z;
-                    z -= -bounds.center.y;
-                } else {
-                    y -= bounds.center.y;
-                    z -= bounds.center.z;
-                }
-            }
+// CAD formats (CAD_FORMATS) are tessellated by OCCT in the worker pool;
+// glTF uploads are validated (and optionally optimized) instead
+const GLTF_FORMATS = {
+    '.gltf': 'gltf',
+    '.glb': 'glb'
+};
 
-            if (groundModel && !centerModel) {
-                if (rotateToYUp) {
-                    y -= bounds.min.z;
-                } else {
-                    y -= bounds.min.y;
-                }
-            }
+/**
+ * Format of an upload from its extension, or null when the server cannot handle it
+ */
+function getUploadFormat(file) {
+    const ext = path.extname(file.originalname).toLowerCase();
+    return CAD_FORMATS[ext] || GLTF_FORMATS[ext] || null;
+}
 
-            pos[i] = x;
-            pos[i + 1] = y;
-            pos[i + 2] = z;
-        }
+// How each format starts. Checked before a conversion is queued, so a renamed
+// file is turned away with a clear error instead of failing inside a worker.
+const UTF8_BOM = Buffer.from([0xEF, 0xBB, 0xBF]);
+const asText = (head) => (head.subarray(0, 3).equals(UTF8_BOM) ? head.subarray(3) : head).toString('latin1').trimStart();
+
+const FILE_SIGNATURES = {
+    step: { expected: 'an ISO-10303-21 header', test: (head) => asText(head).startsWith('ISO-10303-21;') },
+    // Fixed 80-column records; column 73 of the first one marks the Start (or compressed) section
+    iges: { expected: 'an IGES start section', test: (head) => /^[SC]$/.test(head.toString('latin1').split(/\r?\n/)[0].charAt(72)) },
+    brep: { expected: 'an OpenCASCADE BRep header', test: (head) => head.toString('latin1').includes('CASCADE Topology') },
+    gltf: { expected: 'a glTF JSON document', test: (head) => asText(head).startsWith('{') },
+    glb:  { expected: 'the binary glTF magic', test: (head) => head.toString('latin1', 0, 4) === 'glTF' }
+};
 
-        if (rotateToYUp && norm) {
-            for (let i = 0; i < norm.length; i += 3) {
-                const tempY = norm[i + 1];
-                norm[i + 1] = norm[i + 2];
-                norm[i + 2] = -tempY;
-            }
-        }
-    });
+async function readFileHead(filePath, length = 512) {
+    const handle = await fsp.open(filePath, 'r');
+    try {
+        const { bytesRead, buffer } = await handle.read(Buffer.alloc(length), 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
 
-    return meshes;
+/**
+ * Error message when an upload's content does not match its extension, otherwise null
+ */
+async function checkFileSignature(file) {
+    const signature = FILE_SIGNATURES[getUploadFormat(file)];
+    if (!signature) return null;
+    if (signature.test(await readFileHead(file.path))) return null;
+    return `File content does not match its ${path.extname(file.originalname)} extension (expected ${signature.expected})`;
 }
 
-function computeNormals(positions, indices) {
-    const normals = new Float32Array(positions.length).fill(0);
-    
-    if (indices && indices.length > 0) {
-        for (let i = 0; i < indices.length; i += 3) {
-            const i0 = indices[i] * 3, i1 = indices[i+1] * 3, i2 = indices[i+2] * 3;
-            const ux = positions[i1] - positions[i0], uy = positions[i1+1] - positions[i0+1], uz = positions[i1+2] - positions[i0+2];
-            const vx = positions[i2] - positions[i0], vy = positions[i2+1] - positions[i0+1], vz = positions[i2+2] - positions[i0+2];
-            
-            const nx = uy * vz - uz * vy;
-            const ny = uz * vx - ux * vz;
-            const nz = ux * vy - uy * vx;
-
-            normals[i0] += nx; normals[i0+1] += ny; normals[i0+2] += nz;
-            normals[i1] += nx; normals[i1+1] += ny; normals[i1+2] += nz;
-            normals[i2] += nx; normals[i2+1] += ny; normals[i2+2] += nz;
-        }
-    } else {
-        for (let i = 0; i < positions.length; i += 9) {
-            const ux = positions[i+3] - positions[i], uy = positions[i+4] - positions[i+1], uz = positions[i+5] - positions[i+2];
-            const vx = positions[i+6] - positions[i], vy = positions[i+7] - positions[i+1], vz = positions[i+8] - positions[i+2];
-            
-            const nx = uy * vz - uz * vy;
-            const ny = uz * vx - ux * vz;
-            const nz = ux * vy - uy * vx;
-
-            for (let j = 0; j < 3; j++) {
-                normals[i+j*3] += nx; normals[i+j*3+1] += ny; normals[i+j*3+2] += nz;
-            }
-        }
+function unsupportedFormatError(file) {
+    const extension = path.extname(file.originalname);
+    const supported = [...Object.keys(CAD_FORMATS), ...Object.keys(GLTF_FORMATS)];
+    return apiError('UNSUPPORTED_FORMAT', `Unsupported format "${extension}". Supported: ${supported.join(', ')}`, { extension, supported });
+}
+
+/**
+ * Read tessellation settings (quality preset plus explicit overrides) from the form fields
+ */
+function parseTessellationOptions(body = {}) {
+    const quality = body.quality || 'normal';
+    const preset = QUALITY_PRESETS[quality];
+    if (!preset) {
+        throw apiError('INVALID_OPTIONS', `Unknown quality preset "${quality}". Use one of: ${Object.keys(QUALITY_PRESETS).join(', ')}`, {
+            option: 'quality',
+            allowed: Object.keys(QUALITY_PRESETS)
+        });
     }
 
-    for (let i = 0; i < normals.length; i += 3) {
-        const l = Math.sqrt(normals[i]**2 + normals[i+1]**2 + normals[i+2]**2) || 1;
-        normals[i] /= l; normals[i+1] /= l; normals[i+2] /= l;
+    const deflectionMode = body.deflectionMode || 'relative';
+    if (!['relative', 'absolute'].includes(deflectionMode)) {
+        throw apiError('INVALID_OPTIONS', `Unknown deflectionMode "${deflectionMode}". Use "relative" or "absolute"`, {
+            option: 'deflectionMode',
+            allowed: ['relative', 'absolute']
+        });
     }
-    return normals;
-}
 
-function createGLB(meshes, modelBounds = null) {
-    let bufferSize = 0;
-    const binChunks = [];
-    const gltf = { 
-        asset: { version: "2.0", generator: "STEP-Converter" }, 
-        scenes: [{ nodes: [0] }],
-        scene: 0,
-        nodes: [], 
-        meshes: [], 
-        materials: [], 
-        accessors: [], 
-        bufferViews: [], 
-        buffers: [],
-        extras: modelBounds ? { originalBounds: modelBounds } : undefined
+    const readDeflection = (name, fallback) => {
+        if (body[name] === undefined || body[name] === '') return fallback;
+        const value = Number(body[name]);
+        if (!Number.isFinite(value) || value <= 0) throw apiError('INVALID_OPTIONS', `${name} must be a positive number`, { option: name });
+        return value;
     };
 
-    const addBuffer = (data, target) => {
-        const buf = Buffer.from(data.buffer);
-        const pad = (4 - (buf.length % 4)) % 4;
-        const padded = pad ? Buffer.concat([buf, Buffer.alloc(pad)]) : buf;
-        binChunks.push(padded);
-        gltf.bufferViews.push({ buffer: 0, byteOffset: bufferSize, byteLength: buf.length, target });
-        bufferSize += padded.length;
-        return gltf.bufferViews.length - 1;
+    // Preset ratios mean nothing as absolute lengths, so absolute mode needs an explicit value
+    if (deflectionMode === 'absolute' && (body.linearDeflection === undefined || body.linearDeflection === '')) {
+        throw apiError('INVALID_OPTIONS', 'linearDeflection is required when deflectionMode is "absolute"', { option: 'linearDeflection' });
+    }
+
+    return {
+        quality,
+        deflectionMode,
+        linearDeflection: readDeflection('linearDeflection', preset.linearDeflection),
+        angularDeflection: readDeflection('angularDeflection', preset.angularDeflection)
+    };
+}
+
+/**
+ * Read the triangle budget and number of MSFT_lod levels from the form fields.
+ * Null when neither is asked for, so those conversions skip simplification.
+ */
+function parseSimplifyOptions(body = {}) {
+    const readCount = (name, max = Infinity) => {
+        if (body[name] === undefined || body[name] === '') return null;
+        const value = Number(body[name]);
+        if (!Number.isInteger(value) || value < 1 || value > max) {
+            const expected = max === Infinity ? 'a positive integer' : `an integer between 1 and ${max}`;
+            throw apiError('INVALID_OPTIONS', `${name} must be ${expected}`, { option: name });
+        }
+        return value;
     };
 
-    const childNodes = [];
+    const maxTriangles = readCount('maxTriangles');
+    const lodLevels = readCount('lodLevels', MAX_LOD_LEVELS) ?? 1;
+    if (!maxTriangles && lodLevels === 1) return null;
+    return { maxTriangles, lodLevels };
+}
 
-    meshes.forEach((m, i) => {
-        gltf.materials.push({
-            name: m.name,
-            pbrMetallicRoughness: { 
-                baseColorFactor: [...(m.color || [0.6, 0.6, 0.6]), 1], 
-                metallicFactor: 0.2, 
-                roughnessFactor: 0.6 
-            },
-            doubleSided: true
+/**
+ * Read conversion options from the multipart form fields
+ * Throws INVALID_OPTIONS on invalid tessellation, unit, simplification or compression settings
+ */
+function parseConvertOptions(body = {}) {
+    const compression = body.compression || 'none';
+    if (!COMPRESSION_MODES.includes(compression)) {
+        throw apiError('INVALID_OPTIONS', `Unknown compression "${compression}". Use one of: ${COMPRESSION_MODES.join(', ')}`, {
+            option: 'compression',
+            allowed: COMPRESSION_MODES
         });
+    }
 
-        const posView = addBuffer(m.positions, 34962);
-        const normView = addBuffer(m.normals, 34962);
-        const indView = m.indices ? addBuffer(m.indices, 34963) : null;
-
-        let min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
-        for(let k = 0; k < m.positions.length; k += 3) {
-            min[0] = Math.min(min[0], m.positions[k]); 
-            min[1] = Math.min(min[1], m.positions[k+1]); 
-            min[2] = Math.min(min[2], m.positions[k+2]);
-            max[0] = Math.max(max[0], m.positions[k]); 
-            max[1] = Math.max(max[1], m.positions[k+1]); 
-            max[2] = Math.max(max[2], m.positions[k+2]);
-        }
-
-        const posAcc = gltf.accessors.push({ 
-            bufferView: posView, 
-            componentType: 5126, 
-            count: m.positions.length/3, 
-            type: "VEC3", 
-            min, 
-            max 
-        }) - 1;
-        
-        const normAcc = gltf.accessors.push({ 
-            bufferView: normView, 
-            componentType: 5126, 
-            count: m.normals.length/3, 
-            type: "VEC3" 
-        }) - 1;
-        
-        const indAcc = m.indices ? gltf.accessors.push({ 
-            bufferView: indView, 
-            componentType: 5125, 
-            count: m.indices.length, 
-            type: "SCALAR" 
-        }) - 1 : undefined;
-
-        gltf.meshes.push({ 
-            name: m.name, 
-            primitives: [{ 
-                attributes: { POSITION: posAcc, NORMAL: normAcc }, 
-                indices: indAcc, 
-                material: i 
-            }] 
+    const units = body.units || 'millimeter';
+    if (!LENGTH_UNITS[units]) {
+        throw apiError('INVALID_OPTIONS', `Unknown units "${units}". Use one of: ${Object.keys(LENGTH_UNITS).join(', ')}`, {
+            option: 'units',
+            allowed: Object.keys(LENGTH_UNITS)
         });
-        
-        const nodeIndex = gltf.nodes.push({ 
-            mesh: i, 
-            name: m.name 
-        }) - 1;
-        
-        childNodes.push(nodeIndex);
-    });
+    }
+
+    return {
+        preservePosition: body.preservePosition !== 'false',
+        centerModel: body.centerModel === 'true',
+        groundModel: body.groundModel === 'true',
+        rotateToYUp: body.rotateToYUp === 'true',
+        optimize: body.optimize === 'true',             // glTF only: dedup, weld, prune, quantize
+        compression,                                     // none | quantize | meshopt
+        units,                                           // CAD only: length unit of the output (meter for glTF's convention)
+        simplify: parseSimplifyOptions(body),           // triangle budget and MSFT_lod levels, or null
+        tessellation: parseTessellationOptions(body)
+    };
+}
+
+// ============================================
+// CONVERSION CACHE
+// ============================================
+// Converted GLBs are named after a hash of the upload bytes plus its options,
+// so identical uploads share one file. Bump when converter output changes.
+const CACHE_VERSION = 2;
+
+const conversionCache = new Map();      // cacheKey -> payload of the conversion that produced it
+const pendingConversions = new Map();   // cacheKey -> promise of a conversion still running
+const cacheStats = { hits: 0, misses: 0 };
 
-    gltf.nodes.unshift({ 
-        name: "Root",
-        children: childNodes.map(idx => idx + 1)
+/**
+ * SHA-256 of the uploaded file together with everything that shapes the output.
+ * The workspace is part of it, so workspaces never share (or pay for) each other's files.
+ */
+function hashUpload(filePath, format, options, workspace) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        hash.update(JSON.stringify({ version: CACHE_VERSION, workspace, format, options }));
+        fs.createReadStream(filePath)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
     });
+}
 
-    gltf.scenes[0].nodes = [0];
-    gltf.buffers.push({ byteLength: bufferSize });
-    
-    const json = Buffer.from(JSON.stringify(gltf));
-    const jsonPad = (4 - (json.length % 4)) % 4;
-    const bin = Buffer.concat(binChunks);
-    
-    const total = 12 + 8 + json.length + jsonPad + 8 + bin.length;
-    const head = Buffer.alloc(12); 
-    head.writeUInt32LE(0x46546C67, 0); 
-    head.writeUInt32LE(2, 4); 
-    head.writeUInt32LE(total, 8);
-    
-    const jHead = Buffer.alloc(8); 
-    jHead.writeUInt32LE(json.length + jsonPad, 0); 
-    jHead.writeUInt32LE(0x4E4F534A, 4);
-    
-    const bHead = Buffer.alloc(8); 
-    bHead.writeUInt32LE(bin.length, 0); 
-    bHead.writeUInt32LE(0x004E4942, 4);
+/**
+ * Mark a converted file as in use by a session, which keeps cleanup away from it
+ */
+function trackFile(filename, sessionId) {
+    const sessions = activeFiles.get(filename)?.sessions || new Set();
+    sessions.add(sessionId);
+    activeFiles.set(filename, { lastSeenAt: Date.now(), sessionId, sessions });
+
+    const meta = fileMetadata.get(filename);
+    if (meta) meta.lastAccess = Date.now();
+    persistMetadata();
+}
 
-    return Buffer.concat([head, jHead, json, Buffer.alloc(jsonPad, 0x20), bHead, bin]);
+/**
+ * Record a use of a converted file, which restarts its retention clock
+ */
+function touchFile(filename) {
+    const now = Date.now();
+    const info = activeFiles.get(filename);
+    if (info) info.lastSeenAt = now;
+
+    const meta = fileMetadata.get(filename);
+    if (!meta) {
+        // Not converted by this server (or before the metadata store existed): fall back to mtime
+        const time = new Date(now);
+        fsp.utimes(path.join(convertedDir, filename), time, time).catch(() => {});
+        return;
+    }
+    meta.lastAccess = now;
+    persistMetadata();
 }
 
-// ============================================
-// API ROUTES
-// ============================================
+/**
+ * Drop a session's claim on a file. Returns true when no other session still uses it.
+ */
+function releaseFile(filename, sessionId) {
+    const info = activeFiles.get(filename);
+    if (!info) return true;
+    info.sessions?.delete(sessionId);
+    persistMetadata();
+    if (info.sessions?.size) return false;
+    activeFiles.delete(filename);
+    return true;
+}
 
-// Health check with detailed status
-app.get('/api/health', async (req, res) => {
+/**
+ * Drop everything known about a converted file once it is gone from disk
+ */
+function forgetFile(filename) {
+    activeFiles.delete(filename);
+    fileMetadata.delete(filename);
+    conversionCache.delete(path.basename(filename, '.glb'));
+    persistMetadata();
+}
+
+/**
+ * Cached payload for a key, or null when unknown or its GLB was evicted.
+ * A hit refreshes the file's mtime so age-based cleanup counts from the last use.
+ */
+async function lookupCache(cacheKey) {
+    const payload = conversionCache.get(cacheKey);
+    if (!payload) return null;
+
+    const filePath = path.join(convertedDir, `${cacheKey}.glb`);
     try {
-        const uploadsSize = await getDirectorySize(uploadsDir);
-        const convertedSize = await getDirectorySize(convertedDir);
-        const freeSpace = await getFreeDiskSpace();
-        
-        const uploadsFiles = await getFilesWithStats(uploadsDir);
-        const convertedFiles = await getFilesWithStats(convertedDir);
+        const now = new Date();
+        await fsp.utimes(filePath, now, now);
+        return payload;
+    } catch {
+        forgetFile(`${cacheKey}.glb`);
+        return null;
+    }
+}
 
-        res.json({ 
-            status: processingCount >= CONFIG.MAX_CONCURRENT_JOBS ? 'busy' : 'ok',
-            activeJobs: processingCount,
-            maxJobs: CONFIG.MAX_CONCURRENT_JOBS,
-            storage: {
+/**
+ * Forget cache entries whose GLB has been removed by cleanup
+ */
+async function pruneConversionCache() {
+    for (const cacheKey of conversionCache.keys()) {
+        if (!fs.existsSync(path.join(convertedDir, `${cacheKey}.glb`))) {
+            forgetFile(`${cacheKey}.glb`);
+        }
+    }
+}
+
+/**
+ * Look an upload up in the cache without taking a conversion slot, so repeats
+ * never wait in the queue. Resolves with { cacheKey, result }: on a hit `result`
+ * is the payload for the client and the upload is gone, otherwise it is null
+ * and `cacheKey` can be handed on to convertUpload. The caller removes the
+ * upload when this rejects.
+ */
+async function findCachedConversion(file, options, sessionId, { workspace = DEFAULT_WORKSPACE, cacheKey } = {}) {
+    const format = getUploadFormat(file);
+    if (!format) throw unsupportedFormatError(file);
+    cacheKey ??= await hashUpload(file.path, format, options, workspace);
+
+    // Same file already converted, or being converted for someone else right now
+    let payload = await lookupCache(cacheKey);
+    if (!payload && pendingConversions.has(cacheKey)) {
+        payload = await pendingConversions.get(cacheKey).catch(() => null);
+    }
+    if (!payload) return { cacheKey, result: null };
+
+    await fsp.unlink(file.path).catch(() => {});
+    cacheStats.hits++;
+    recordConversion(format, 'cached');
+    trackFile(`${cacheKey}.glb`, sessionId);
+    logger.child({ sessionId }).info('Cache hit', { cacheKey });
+    return { cacheKey, result: { ...payload, cached: true, sessionId } };
+}
+
+/**
+ * Turn an uploaded file into a GLB in convertedDir, reusing an earlier
+ * conversion of the same bytes and options when there is one.
+ * `cacheKey` skips hashing when findCachedConversion already did it.
+ * Resolves with the payload sent back to the client.
+ * Rejects with an apiError; invalid glTF files carry the `validation` report too.
+ */
+async function convertUpload(file, options, sessionId, { onProgress, workspace = DEFAULT_WORKSPACE, cacheKey } = {}) {
+    try {
+        // Looked up again: an identical upload may have finished converting while this one was queued
+        const cached = await findCachedConversion(file, options, sessionId, { workspace, cacheKey });
+        if (cached.result) return cached.result;
+        cacheKey = cached.cacheKey;
+
+        const format = getUploadFormat(file);
+        let payload;
+        cacheStats.misses++;
+        const startedAt = Date.now();
+        const conversion = convertToGLB(file, format, options, sessionId, cacheKey, { onProgress });
+        pendingConversions.set(cacheKey, conversion);
+        try {
+            payload = await conversion;
+            recordConversion(format, 'success', (Date.now() - startedAt) / 1000);
+        } catch (e) {
+            recordConversion(format, conversionOutcome(e), (Date.now() - startedAt) / 1000);
+            throw e;
+        } finally {
+            pendingConversions.delete(cacheKey);
+        }
+
+        const now = Date.now();
+        conversionCache.set(cacheKey, payload);
+        fileMetadata.set(`${cacheKey}.glb`, {
+            workspace,
+            originalName: file.originalname,
+            format,
+            options,
+            size: payload.size,
+            meshCount: payload.meshCount ?? payload.validation?.stats?.meshes ?? null,
+            bounds: payload.bounds ?? null,
+            units: payload.units ?? null,
+            createdAt: now,
+            lastAccess: now
+        });
+        persistMetadata();
+        return { ...payload, cached: false, sessionId };
+    } catch (e) {
+        await fsp.unlink(file.path).catch(() => {});
+        throw e;
+    }
+}
+
+/**
+ * Run the worker for one upload and write `<cacheKey>.glb`
+ */
+async function convertToGLB(file, format, options, sessionId, cacheKey, { onProgress } = {}) {
+    const log = logger.child({ sessionId });
+    const outName = `${cacheKey}.glb`;
+    const outPath = path.join(convertedDir, outName);
+
+    // Claimed up front so cleanup leaves the half-written file alone
+    trackFile(outName, sessionId);
+
+    try {
+        if (format === 'gltf' || format === 'glb') {
+            const result = await runConversionJob(sessionId, {
+                filePath: file.path,
+                outPath,
+                format,
+                optimize: options.optimize,
+                simplify: options.simplify,
+                compression: options.compression
+            }, {
+                onProgress,
+                filename: GLTF_WORKER
+            });
+
+            await fsp.unlink(file.path).catch(() => {});
+
+            if (!result.success) {
+                log.warn('Invalid glTF', { errors: result.validation.errors });
+                const empty = result.validation.stats?.meshes === 0;
+                throw Object.assign(apiError(empty ? 'EMPTY_GEOMETRY' : 'PARSE_FAILED', 'Invalid glTF file'), { validation: result.validation });
+            }
+
+            log.info('Validated glTF', {
+                size: result.size,
+                ...(options.optimize && { sizeBefore: result.optimization.sizeBefore }),
+                warnings: result.validation.warnings.length
+            });
+
+            return {
+                success: true,
+                url: `/converted/${outName}`,
+                size: result.size,
+                validation: result.validation,
+                optimization: result.optimization,
+                simplification: result.simplification,
+                options
+            };
+        }
+
+        const result = await runConversionJob(sessionId, { filePath: file.path, outPath, format, options }, { onProgress });
+        if (!result.success) throw apiError(result.code, result.error, { format });
+
+        await fsp.unlink(file.path).catch(() => {});
+
+        log.info('Converted CAD file', {
+            format,
+            size: result.size,
+            meshCount: result.meshCount,
+            bounds: result.bounds,
+            units: result.units,
+            ...(result.simplification && { simplification: result.simplification })
+        });
+        
+        return { 
+            success: true, 
+            url: `/converted/${outName}`, 
+            size: result.size, 
+            meshCount: result.meshCount,
+            bounds: result.bounds,
+            units: result.units,
+            simplification: result.simplification,
+            options
+        };
+    } catch (e) {
+        releaseFile(outName, sessionId);
+        await fsp.unlink(outPath).catch(() => {});
+        // Worker crashes and OCCT failures are the server's problem, not the file's
+        throw ERROR_CODES[e.code] ? e : apiError('CONVERSION_FAILED', e.message);
+    }
+}
+
+// ============================================
+// CONVERSION JOBS
+// ============================================
+// Jobs started through /api/jobs. The job id doubles as the session id.
+const jobs = new Map(); // jobId -> { id, workspace, status, phase, percent, fileName, options, result, error, ... }
+
+function createJob(file, options, workspace, id = uuidv4()) {
+    const job = {
+        id,
+        workspace,
+        status: 'processing',           // queued | processing | complete | failed | cancelled
+        phase: 'queued',
+        percent: 0,
+        queuePosition: null,            // 1-based place in the job queue while queued
+        fileName: file.originalname,
+        options,
+        createdAt: Date.now(),
+        lastSeenAt: Date.now(),         // last poll or SSE disconnect, to spot abandoned queued jobs
+        finishedAt: null,
+        result: null,
+        error: null,
+        errorCode: null,
+        errorDetails: null
+    };
+    jobs.set(job.id, job);
+    persistMetadata();
+    return job;
+}
+
+function toJobStatus(job) {
+    return {
+        jobId: job.id,
+        status: job.status,
+        phase: job.phase,
+        percent: job.percent,
+        ...(job.status === 'queued' && { queuePosition: job.queuePosition }),
+        fileName: job.fileName,
+        createdAt: new Date(job.createdAt).toISOString(),
+        finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+        result: job.result,
+        error: job.error,
+        ...(job.errorCode && { code: job.errorCode }),
+        ...(job.errorDetails && { details: job.errorDetails }),
+        ...(job.validation && { validation: job.validation }),
+        // Batch jobs: per-file status until the manifest in `result` takes over
+        ...(job.files && !job.result && { files: job.files })
+    };
+}
+
+/**
+ * A job the caller may see, or undefined (other workspaces' jobs look missing)
+ */
+function findJob(req, jobId) {
+    const job = jobs.get(jobId);
+    return job && canAccessWorkspace(req, job.workspace) ? job : undefined;
+}
+
+function isJobActive(job) {
+    return job.status === 'queued' || job.status === 'processing';
+}
+
+/**
+ * Forget finished jobs once their output would have been cleaned up anyway
+ */
+function pruneFinishedJobs() {
+    const now = Date.now();
+    for (const [jobId, job] of jobs.entries()) {
+        if (job.finishedAt && now - job.finishedAt > CONFIG.MAX_FILE_AGE_MS) {
+            jobs.delete(jobId);
+        }
+    }
+    persistMetadata();
+}
+
+/**
+ * Wait for a conversion slot on behalf of a job, publishing its queue
+ * position meanwhile. Throws QUEUE_FULL like acquireSlot; once the returned
+ * promise resolves the slot is held until releaseSlot().
+ */
+function acquireJobSlot(job) {
+    return acquireSlot(job.id, {
+        onPosition: (position) => {
+            job.status = 'queued';
+            job.queuePosition = position;
+            publishProgress(job.id, 'progress', toJobStatus(job));
+        },
+        isAbandoned: () => isJobAbandoned(job)
+    }).then(() => {
+        job.status = 'processing';
+        job.queuePosition = null;
+        publishProgress(job.id, 'progress', toJobStatus(job));
+    });
+}
+
+/**
+ * Run a job and record how it ended. `work` resolves with the job result and
+ * takes and releases its own slot. `files` are the uploads to remove when the
+ * job fails; one dropped before convertUpload never reached it, which owns them otherwise.
+ */
+function runJob(job, work, { log, files }) {
+    work().then((result) => {
+        if (job.status === 'cancelled') return;
+        job.status = 'complete';
+        job.phase = 'complete';
+        job.percent = 100;
+        job.result = result;
+    }).catch(async (e) => {
+        logError(log, 'Job failed', e);
+        if (job.status !== 'cancelled') job.status = 'failed';
+        job.queuePosition = null;
+        job.error = e.message;
+        job.errorCode = errorCodeOf(e);
+        job.errorDetails = e.details || null;
+        job.validation = e.validation || null;
+        await Promise.all(files.map(file => fsp.unlink(file.path).catch(() => {})));
+    }).finally(() => {
+        job.finishedAt = Date.now();
+        publishProgress(job.id, job.status, toJobStatus(job));
+        persistMetadata();
+    });
+}
+
+// ============================================
+// BATCH CONVERSION
+// ============================================
+// POST /api/convert/batch converts several files, or the parts of a zip, as
+// one job holding a single queue slot. The files run one after another and
+// each has its own entry in job.files, so one bad part does not sink the rest.
+
+function isZipUpload(file) {
+    return path.extname(file.originalname).toLowerCase() === '.zip';
+}
+
+/**
+ * Unpack the entries of a zip the server can convert into uploadsDir, as
+ * multer-like file objects. Folders are flattened; the names of other entries
+ * come back in `skipped`. The zip itself is always removed, and so is
+ * everything unpacked when it throws.
+ * Throws TOO_LARGE past the batch limits, PARSE_FAILED for a broken archive.
+ */
+async function extractZip(file, maxFiles) {
+    const files = [];
+    const skipped = [];
+    let totalBytes = 0;
+
+    try {
+        const zip = await yauzl.openPromise(file.path, { lazyEntries: true });
+        for await (const entry of zip.eachEntry()) {
+            const name = path.basename(entry.fileName);
+            // Folders, and the resource forks macOS adds to archives it creates
+            if (entry.fileName.endsWith('/') || entry.fileName.startsWith('__MACOSX/') || name.startsWith('.')) continue;
+            if (!getUploadFormat({ originalname: name })) {
+                skipped.push(entry.fileName);
+                continue;
+            }
+            if (files.length >= maxFiles) {
+                throw apiError('TOO_LARGE', `Too many files. A batch holds at most ${CONFIG.MAX_BATCH_FILES}`, { maxFiles: CONFIG.MAX_BATCH_FILES });
+            }
+            // Sizes come from the central directory; yauzl fails the entry if its data disagrees
+            totalBytes += entry.uncompressedSize;
+            if (totalBytes > CONFIG.MAX_FILE_SIZE) {
+                throw apiError('TOO_LARGE', `${file.originalname} unpacks to more than ${CONFIG.MAX_FILE_SIZE / 1024 / 1024} MB`, { maxBytes: CONFIG.MAX_FILE_SIZE });
+            }
+
+            const extracted = { path: path.join(uploadsDir, `${uuidv4()}${path.extname(name)}`), originalname: name, size: entry.uncompressedSize };
+            files.push(extracted);
+            await pipeline(await zip.openReadStreamPromise(entry), fs.createWriteStream(extracted.path));
+        }
+    } catch (e) {
+        await Promise.all(files.map(f => fsp.unlink(f.path).catch(() => {})));
+        throw ERROR_CODES[e.code] ? e : apiError('PARSE_FAILED', `Could not unpack ${file.originalname}: ${e.message}`);
+    } finally {
+        await fsp.unlink(file.path).catch(() => {});
+    }
+
+    return { files, skipped };
+}
+
+/**
+ * Turn the uploads of a batch request into the files to convert, unpacking
+ * zips on the way. `skipped` names what cannot be converted.
+ * Every upload is removed when it throws.
+ */
+async function collectBatchFiles(uploads) {
+    const files = [];
+    const skipped = [];
+    const pending = [...uploads];
+
+    try {
+        while (pending.length) {
+            const file = pending.shift();
+            if (isZipUpload(file)) {
+                const zip = await extractZip(file, CONFIG.MAX_BATCH_FILES - files.length);
+                files.push(...zip.files);
+                skipped.push(...zip.skipped.map(name => `${file.originalname}/${name}`));
+            } else if (getUploadFormat(file)) {
+                files.push(file);
+            } else {
+                skipped.push(file.originalname);
+                await fsp.unlink(file.path).catch(() => {});
+            }
+        }
+    } catch (e) {
+        await Promise.all([...files, ...pending].map(f => fsp.unlink(f.path).catch(() => {})));
+        throw e;
+    }
+
+    return { files, skipped };
+}
+
+/**
+ * Convert a batch job's files one by one. Resolves with the manifest, the
+ * status of every file plus its GLB when it converted; rejects when none did.
+ */
+async function convertBatch(job, files, log) {
+    for (const [index, file] of files.entries()) {
+        const entry = job.files[index];
+        if (job.status === 'cancelled') {
+            entry.status = 'cancelled';
+            await fsp.unlink(file.path).catch(() => {});
+            continue;
+        }
+
+        entry.status = 'processing';
+        publishProgress(job.id, 'progress', toJobStatus(job));
+        try {
+            const mismatch = await checkFileSignature(file).catch(e => e.message);
+            if (mismatch) {
+                await fsp.unlink(file.path).catch(() => {});
+                throw apiError('CONTENT_MISMATCH', mismatch);
+            }
+
+            // Hashed first so a cancel that arrives meanwhile stops the batch before the worker starts
+            const { cacheKey, result } = await findCachedConversion(file, job.options, job.id, { workspace: job.workspace });
+            if (!result && job.status === 'cancelled') throw apiError('CANCELLED', 'Cancelled by user');
+            const { success, options, sessionId, ...output } = result || await convertUpload(file, job.options, job.id, {
+                onProgress: ({ phase, percent }) => {
+                    job.phase = phase;
+                    job.percent = Math.round((index * 100 + percent) / files.length);
+                    publishProgress(job.id, 'progress', toJobStatus(job));
+                },
+                workspace: job.workspace,
+                cacheKey
+            });
+            Object.assign(entry, { status: 'complete', ...output });
+        } catch (e) {
+            // convertUpload removes the upload itself, but it may not have been reached
+            await fsp.unlink(file.path).catch(() => {});
+            if (job.status === 'cancelled') {
+                entry.status = 'cancelled';
+                continue;
+            }
+            logError(log.child({ fileName: file.originalname }), 'Batch file failed', e);
+            Object.assign(entry, {
+                status: 'failed',
+                error: e.message,
+                code: errorCodeOf(e),
+                ...(e.details && { details: e.details }),
+                ...(e.validation && { validation: e.validation })
+            });
+        }
+        job.percent = Math.round(((index + 1) * 100) / files.length);
+    }
+
+    if (job.status === 'cancelled') throw apiError('CANCELLED', 'Cancelled by user');
+
+    const count = (status) => job.files.filter(f => f.status === status).length;
+    const converted = count('complete');
+    if (!converted) {
+        const firstFailure = job.files.find(f => f.status === 'failed');
+        throw apiError(firstFailure.code, `No file in the batch could be converted. ${firstFailure.fileName}: ${firstFailure.error}`);
+    }
+
+    log.info('Batch converted', { converted, failed: count('failed'), skipped: count('skipped') });
+    return {
+        success: true,
+        sessionId: job.id,
+        converted,
+        failed: count('failed'),
+        skipped: count('skipped'),
+        files: job.files
+    };
+}
+
+// ============================================
+// METADATA STORE
+// ============================================
+// activeFiles, fileMetadata, the conversion cache and jobs are mirrored to a
+// JSON file, so a restart neither orphans files still being viewed nor
+// forgets how they were made.
+const METADATA_VERSION = 1;
+const metadataFile = path.join(dataDir, 'metadata.json');
+let metadataSaveTimer = null;
+let metadataWrite = Promise.resolve();
+
+function serializeMetadata() {
+    return {
+        version: METADATA_VERSION,
+        savedAt: new Date().toISOString(),
+        files: Object.fromEntries(fileMetadata),
+        sessions: Object.fromEntries([...activeFiles].map(([filename, info]) => (
+            [filename, { ...info, sessions: [...(info.sessions || [])] }]
+        ))),
+        cache: Object.fromEntries(conversionCache),
+        jobs: [...jobs.values()]
+    };
+}
+
+/**
+ * Write the store now. Writes are serialized and go through a temp file,
+ * so a crash mid-write leaves the previous version intact.
+ */
+function saveMetadata() {
+    clearTimeout(metadataSaveTimer);
+    metadataSaveTimer = null;
+
+    metadataWrite = metadataWrite.then(async () => {
+        const tmpPath = `${metadataFile}.tmp`;
+        await fsp.writeFile(tmpPath, JSON.stringify(serializeMetadata()));
+        await fsp.rename(tmpPath, metadataFile);
+    }).catch((e) => logger.warn('Could not save metadata', { error: e.message }));
+    return metadataWrite;
+}
+
+/**
+ * Save shortly, batching the bursts of changes a conversion makes
+ */
+function persistMetadata() {
+    if (metadataSaveTimer) return;
+    metadataSaveTimer = setTimeout(saveMetadata, CONFIG.METADATA_SAVE_DELAY_MS);
+}
+
+/**
+ * Restore the store on startup. Entries whose GLB is gone are dropped, and
+ * jobs that were still running when the server stopped are marked failed.
+ */
+function loadMetadata() {
+    let stored;
+    try {
+        stored = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') logger.warn('Ignoring unreadable metadata store', { error: e.message });
+        return;
+    }
+    if (stored.version !== METADATA_VERSION) {
+        logger.warn('Ignoring metadata store with unknown version', { version: stored.version });
+        return;
+    }
+
+    const exists = (filename) => fs.existsSync(path.join(convertedDir, filename));
+
+    for (const [filename, meta] of Object.entries(stored.files || {})) {
+        if (exists(filename)) fileMetadata.set(filename, meta);
+    }
+    for (const [filename, info] of Object.entries(stored.sessions || {})) {
+        // Stores written before claims could lapse have createdAt, refreshed on each use like lastSeenAt
+        const { createdAt, ...claim } = info;
+        if (exists(filename)) activeFiles.set(filename, { ...claim, lastSeenAt: claim.lastSeenAt ?? createdAt, sessions: new Set(info.sessions) });
+    }
+    for (const [cacheKey, payload] of Object.entries(stored.cache || {})) {
+        if (exists(`${cacheKey}.glb`)) conversionCache.set(cacheKey, payload);
+    }
+    for (const job of stored.jobs || []) {
+        if (isJobActive(job)) {
+            Object.assign(job, {
+                status: 'failed',
+                queuePosition: null,
+                error: 'Interrupted by a server restart',
+                errorCode: 'INTERRUPTED',
+                finishedAt: Date.now()
+            });
+        }
+        jobs.set(job.id, job);
+    }
+
+    logger.info('Restored metadata', { files: fileMetadata.size, filesInUse: activeFiles.size, jobs: jobs.size });
+}
+
+/**
+ * Give converted files the store knows nothing about (written before it
+ * existed) to the default workspace, so they stay reachable there, count
+ * toward its quota and are not mistaken for orphans.
+ */
+function adoptUntrackedFiles() {
+    let adopted = 0;
+    for (const filename of fs.readdirSync(convertedDir)) {
+        if (fileMetadata.has(filename) || !CONVERTED_NAME_PATTERN.test(filename)) continue;
+        try {
+            const { size, mtimeMs } = fs.statSync(path.join(convertedDir, filename));
+            fileMetadata.set(filename, {
+                workspace: DEFAULT_WORKSPACE,
+                originalName: null,
+                format: null,
+                options: null,
+                size,
+                meshCount: null,
+                bounds: null,
+                units: null,
+                createdAt: mtimeMs,
+                lastAccess: mtimeMs
+            });
+            adopted++;
+        } catch {
+            // Deleted meanwhile
+        }
+    }
+    if (!adopted) return;
+    logger.info('Adopted converted files without metadata', { files: adopted, workspace: DEFAULT_WORKSPACE });
+    persistMetadata();
+}
+
+// ============================================
+// PROGRESS EVENTS (SSE)
+// ============================================
+const progressStreams = new Map(); // sessionId -> Set of open SSE responses
+
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Push an event to every stream watching a session.
+ * Anything other than `progress` is final and closes the streams.
+ */
+function publishProgress(sessionId, event, data) {
+    const streams = progressStreams.get(sessionId);
+    if (!streams) return;
+
+    for (const res of streams) {
+        writeEvent(res, event, data);
+        if (event !== 'progress') res.end();
+    }
+    if (event !== 'progress') progressStreams.delete(sessionId);
+}
+
+// ============================================
+// CHUNKED UPLOADS
+// ============================================
+// Resumable uploads for large CAD files:
+//   POST   /api/uploads        { fileName, size }     -> { uploadId, offset, chunkSize }
+//   PATCH  /api/uploads/:id    Upload-Offset + bytes  -> { offset, complete }
+//   GET    /api/uploads/:id                           -> current offset, to resume after a failure
+// A complete upload is then converted by passing `uploadId` to /api/convert or /api/jobs,
+// or its id in `uploadIds` to /api/convert/batch (the only route that takes zips).
+const chunkedUploads = new Map(); // uploadId -> { id, workspace, fileName, size, offset, path, writing, updatedAt }
+
+function toUploadStatus(upload) {
+    return {
+        uploadId: upload.id,
+        fileName: upload.fileName,
+        size: upload.size,
+        offset: upload.offset,
+        complete: upload.offset === upload.size,
+        chunkSize: CONFIG.UPLOAD_CHUNK_SIZE
+    };
+}
+
+/**
+ * Append one chunk to a partial upload. The offset afterwards is whatever
+ * actually reached the disk, so a chunk cut off halfway can be resumed.
+ */
+async function appendChunk(upload, req) {
+    let received = 0;
+    const limit = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (upload.offset + received > upload.size) {
+                return callback(apiError('TOO_LARGE', 'Chunk goes past the declared file size', { size: upload.size }));
+            }
+            callback(null, chunk);
+        }
+    });
+
+    upload.writing = true;
+    try {
+        await pipeline(req, limit, fs.createWriteStream(upload.path, { flags: 'a' }));
+    } finally {
+        upload.offset = (await fsp.stat(upload.path).catch(() => ({ size: 0 }))).size;
+        upload.updatedAt = Date.now();
+        upload.writing = false;
+    }
+}
+
+/**
+ * A chunked upload the caller may touch, or undefined
+ */
+function findUpload(req, uploadId) {
+    const upload = chunkedUploads.get(uploadId);
+    return upload && canAccessWorkspace(req, upload.workspace) ? upload : undefined;
+}
+
+/**
+ * Hand a finished chunked upload over to the conversion pipeline.
+ * Returns a multer-like file object; throws NOT_FOUND or UPLOAD_INCOMPLETE when it cannot.
+ */
+async function takeChunkedUpload(req, uploadId) {
+    const upload = findUpload(req, uploadId);
+    if (!upload) throw apiError('NOT_FOUND', 'Upload not found');
+    if (upload.writing || upload.offset !== upload.size) {
+        throw apiError('UPLOAD_INCOMPLETE', `Upload incomplete: ${upload.offset} of ${upload.size} bytes`, {
+            offset: upload.offset,
+            size: upload.size
+        });
+    }
+
+    chunkedUploads.delete(uploadId);
+    const filePath = path.join(uploadsDir, `${uuidv4()}${path.extname(upload.fileName)}`);
+    await fsp.rename(upload.path, filePath);
+
+    return { path: filePath, originalname: upload.fileName, size: upload.size };
+}
+
+/**
+ * Forget partial uploads that went quiet, or whose file cleanup already removed
+ */
+function pruneStaleUploads() {
+    const now = Date.now();
+    for (const [uploadId, upload] of chunkedUploads.entries()) {
+        if (upload.writing) continue;
+        if (now - upload.updatedAt > CONFIG.UPLOAD_RESUME_WINDOW_MS || !fs.existsSync(upload.path)) {
+            fsp.unlink(upload.path).catch(() => {});
+            chunkedUploads.delete(uploadId);
+        }
+    }
+}
+
+// ============================================
+// WORKSPACES
+// ============================================
+// Every upload, job and converted file belongs to the caller's workspace
+// (see AUTHENTICATION). Users only see their own; admins see all of them.
+// Each workspace may hold WORKSPACE_QUOTA_MB of converted models and
+// uploads in progress, within the server-wide MAX_STORAGE_MB.
+
+function canAccessWorkspace(req, workspace) {
+    return req.role === 'admin' || req.workspace === workspace;
+}
+
+function canAccessFile(req, filename) {
+    return req.role === 'admin' || fileMetadata.get(filename)?.workspace === req.workspace;
+}
+
+/**
+ * Bytes a workspace holds: converted models plus declared sizes of its uploads in progress
+ */
+function getWorkspaceUsage(workspace) {
+    let bytes = 0;
+    for (const meta of fileMetadata.values()) {
+        if (meta.workspace === workspace) bytes += meta.size || 0;
+    }
+    for (const upload of chunkedUploads.values()) {
+        if (upload.workspace === workspace) bytes += upload.size;
+    }
+    return bytes;
+}
+
+function toWorkspaceUsage(workspace) {
+    return {
+        workspace,
+        usedMB: (getWorkspaceUsage(workspace) / 1024 / 1024).toFixed(2),
+        quotaMB: CONFIG.WORKSPACE_QUOTA_MB
+    };
+}
+
+/**
+ * Throw QUOTA_EXCEEDED when `incomingBytes` more would put a workspace over its quota
+ */
+function checkWorkspaceQuota(workspace, incomingBytes) {
+    const used = getWorkspaceUsage(workspace);
+    if (used + incomingBytes > CONFIG.WORKSPACE_QUOTA_MB * 1024 * 1024) {
+        throw apiError('QUOTA_EXCEEDED',
+            `Workspace storage quota exceeded: ${(used / 1024 / 1024).toFixed(2)} of ${CONFIG.WORKSPACE_QUOTA_MB} MB used`,
+            { ...toWorkspaceUsage(workspace), requestedMB: (incomingBytes / 1024 / 1024).toFixed(2) });
+    }
+}
+
+/**
+ * Bring workspaces back under quota by deleting their least recently used
+ * models that no session has open
+ */
+async function enforceWorkspaceQuotas({ dryRun = false } = {}) {
+    const results = { filesDeleted: 0, spaceFreed: 0 };
+    const quota = CONFIG.WORKSPACE_QUOTA_MB * 1024 * 1024;
+
+    const workspaces = new Set([...fileMetadata.values()].map(meta => meta.workspace));
+    for (const workspace of workspaces) {
+        let excess = getWorkspaceUsage(workspace) - quota;
+        if (excess <= 0) continue;
+
+        const candidates = [...fileMetadata.entries()]
+            .filter(([filename, meta]) => meta.workspace === workspace && !isFileInUse(filename))
+            .sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+
+        for (const [filename, meta] of candidates) {
+            if (excess <= 0) break;
+            if (dryRun) {
+                logger.info('Dry run: would delete file', { file: filename, reason: 'workspace over quota', workspace });
+            } else if (!(await safeDeleteFile(path.join(convertedDir, filename), `workspace ${workspace} over quota`))) {
+                continue;
+            }
+            results.filesDeleted++;
+            results.spaceFreed += meta.size || 0;
+            excess -= meta.size || 0;
+        }
+    }
+    return results;
+}
+
+// ============================================
+// API ROUTES
+// ============================================
+
+// Health check with detailed status
+app.get('/api/health', async (req, res) => {
+    try {
+        const uploadsSize = await getDirectorySize(uploadsDir);
+        const convertedSize = await getDirectorySize(convertedDir);
+        const freeSpace = await getFreeDiskSpace();
+        
+        const uploadsFiles = await getFilesWithStats(uploadsDir);
+        const convertedFiles = await getFilesWithStats(convertedDir);
+
+        res.json({ 
+            status: processingCount >= CONFIG.MAX_CONCURRENT_JOBS ? 'busy' : 'ok',
+            activeJobs: processingCount,
+            maxJobs: CONFIG.MAX_CONCURRENT_JOBS,
+            queue: {
+                waiting: waitingQueue.length,
+                maxDepth: CONFIG.MAX_QUEUE_DEPTH
+            },
+            workers: {
+                threads: conversionPool.threads.length,
+                running: runningJobs.size,
+                queued: conversionPool.queueSize
+            },
+            storage: {
                 uploads: {
                     files: uploadsFiles.length,
                     sizeMB: (uploadsSize / 1024 / 1024).toFixed(2)
@@ -715,6 +2023,14 @@ app.get('/api/health', async (req, res) => {
                 freeSpaceMB: (freeSpace / 1024 / 1024).toFixed(2)
             },
             cleanup: cleanupStats,
+            cache: {
+                entries: conversionCache.size,
+                hits: cacheStats.hits,
+                misses: cacheStats.misses,
+                hitRate: cacheStats.hits + cacheStats.misses
+                    ? +(cacheStats.hits / (cacheStats.hits + cacheStats.misses)).toFixed(3)
+                    : 0
+            },
             uptime: process.uptime()
         });
     } catch (e) {
@@ -726,15 +2042,24 @@ app.get('/api/health', async (req, res) => {
     }
 });
 
+// Prometheus scrape target (see METRICS); scrapers send an admin key as a bearer token
+app.get('/metrics', requireAdmin, async (req, res) => {
+    try {
+        res.type('text/plain; version=0.0.4').send(await renderMetrics());
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
 // Manual cleanup endpoint
-app.post('/api/cleanup', async (req, res) => {
+app.post('/api/cleanup', requireAdmin, async (req, res) => {
     try {
         const options = {
             maxAge: req.body?.maxAge || CONFIG.MAX_FILE_AGE_MS,
             dryRun: req.body?.dryRun === true
         };
 
-        console.log(`🧹 Manual cleanup requested (dryRun: ${options.dryRun})`);
+        req.log.info('Manual cleanup requested', { dryRun: options.dryRun });
         const results = await runFullCleanup(options);
         
         res.json({
@@ -743,28 +2068,26 @@ app.post('/api/cleanup', async (req, res) => {
             stats: cleanupStats
         });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
 // Clear all files endpoint (requires confirmation)
-app.post('/api/clear-all', async (req, res) => {
+app.post('/api/clear-all', requireAdmin, async (req, res) => {
     try {
         const { confirm, keepRecent } = req.body || {};
         
         if (confirm !== 'DELETE_ALL_FILES') {
-            return res.status(400).json({ 
-                error: 'Confirmation required. Send { "confirm": "DELETE_ALL_FILES" }' 
-            });
+            return sendError(res, apiError('BAD_REQUEST', 'Confirmation required. Send { "confirm": "DELETE_ALL_FILES" }'));
         }
 
         if (processingCount > 0) {
-            return res.status(409).json({ 
-                error: `Cannot clear files while ${processingCount} jobs are processing` 
-            });
+            return sendError(res, apiError('CONFLICT', `Cannot clear files while ${processingCount} jobs are processing`, {
+                activeJobs: processingCount
+            }));
         }
 
-        console.log('⚠️  Clear all files requested');
+        req.log.warn('Clear all files requested');
         const results = await clearAllFiles({ keepRecent: !!keepRecent });
         
         res.json({
@@ -772,28 +2095,32 @@ app.post('/api/clear-all', async (req, res) => {
             results
         });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
 // Delete specific file
+// Users may delete their own workspace's models; raw uploads are admin-only
 app.delete('/api/file/:filename', async (req, res) => {
     try {
         const { filename } = req.params;
         
-        // Check both directories
-        const convertedPath = path.join(convertedDir, filename);
-        const uploadsPath = path.join(uploadsDir, filename);
+        // Check both directories; only names we handed out are accepted
+        const convertedPath = resolveStoredFile(convertedDir, filename, CONVERTED_NAME_PATTERN);
+        const uploadsPath = resolveStoredFile(uploadsDir, filename, UPLOAD_NAME_PATTERN);
+        if (!convertedPath && !uploadsPath) {
+            return sendError(res, apiError('INVALID_FILENAME', 'Invalid filename'));
+        }
         
         let deleted = false;
         let location = null;
 
-        if (fs.existsSync(convertedPath)) {
+        if (convertedPath && fs.existsSync(convertedPath) && canAccessFile(req, filename)) {
             await safeDeleteFile(convertedPath, 'user request');
             deleted = true;
             location = 'converted';
             activeFiles.delete(filename);
-        } else if (fs.existsSync(uploadsPath)) {
+        } else if (uploadsPath && fs.existsSync(uploadsPath) && req.role === 'admin') {
             await safeDeleteFile(uploadsPath, 'user request');
             deleted = true;
             location = 'uploads';
@@ -803,27 +2130,47 @@ app.delete('/api/file/:filename', async (req, res) => {
         if (deleted) {
             res.json({ success: true, filename, location });
         } else {
-            res.status(404).json({ error: 'File not found' });
+            sendError(res, apiError('NOT_FOUND', 'File not found'));
         }
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
-// List files endpoint
+// List files endpoint: the caller's workspace, or for admins every
+// workspace (narrowed with ?workspace=) plus the raw uploads
 app.get('/api/files', async (req, res) => {
     try {
-        const convertedFiles = await getFilesWithStats(convertedDir);
-        const uploadsFiles = await getFilesWithStats(uploadsDir);
+        const isAdmin = req.role === 'admin';
+        const workspace = isAdmin ? req.query.workspace : req.workspace;
+        const convertedFiles = (await getFilesWithStats(convertedDir))
+            .filter(f => !workspace || fileMetadata.get(f.name)?.workspace === workspace);
+        const uploadsFiles = isAdmin ? await getFilesWithStats(uploadsDir) : [];
 
         res.json({
-            converted: convertedFiles.map(f => ({
-                name: f.name,
-                sizeMB: (f.size / 1024 / 1024).toFixed(2),
-                age: Math.round(f.age / 60000),
-                url: `/converted/${f.name}`,
-                isActive: activeFiles.has(f.name)
-            })),
+            ...(workspace && { workspace: toWorkspaceUsage(workspace) }),
+            converted: convertedFiles.map(f => {
+                const meta = fileMetadata.get(f.name);
+                return {
+                    name: f.name,
+                    sizeMB: (f.size / 1024 / 1024).toFixed(2),
+                    age: Math.round(f.age / 60000),
+                    url: `/converted/${f.name}`,
+                    isActive: isFileInUse(f.name),
+                    sessions: activeFiles.get(f.name)?.sessions?.size || 0,
+                    ...(meta && {
+                        workspace: meta.workspace,
+                        originalName: meta.originalName,
+                        format: meta.format,
+                        options: meta.options,
+                        meshCount: meta.meshCount,
+                        bounds: meta.bounds,
+                        units: meta.units,
+                        createdAt: new Date(meta.createdAt).toISOString(),
+                        lastAccess: new Date(meta.lastAccess).toISOString()
+                    })
+                };
+            }),
             uploads: uploadsFiles.map(f => ({
                 name: f.name,
                 sizeMB: (f.size / 1024 / 1024).toFixed(2),
@@ -831,122 +2178,432 @@ app.get('/api/files', async (req, res) => {
             }))
         });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
+    }
+});
+
+// Start a resumable upload
+app.post('/api/uploads', async (req, res) => {
+    const { fileName } = req.body || {};
+    const size = Number(req.body?.size);
+
+    if (!fileName || !Number.isInteger(size) || size <= 0) {
+        return sendError(res, apiError('BAD_REQUEST', 'fileName and a positive integer size are required'));
+    }
+    if (size > CONFIG.MAX_FILE_SIZE) {
+        return sendError(res, tooLargeError());
+    }
+    if (!getUploadFormat({ originalname: fileName }) && !isZipUpload({ originalname: fileName })) {
+        return sendError(res, unsupportedFormatError({ originalname: fileName }));
+    }
+    try {
+        checkWorkspaceQuota(req.workspace, size);
+    } catch (e) {
+        return sendError(res, e);
+    }
+
+    const id = uuidv4();
+    const upload = {
+        id,
+        workspace: req.workspace,
+        fileName: path.basename(fileName),
+        size,
+        offset: 0,
+        path: path.join(tempDir, `${id}.part`),
+        writing: false,
+        updatedAt: Date.now()
+    };
+
+    try {
+        await fsp.writeFile(upload.path, '');
+    } catch (e) {
+        return sendError(res, e);
+    }
+
+    chunkedUploads.set(id, upload);
+    req.log.info('Upload started', { uploadId: id, fileName: upload.fileName, size, workspace: req.workspace });
+    res.status(201).json(toUploadStatus(upload));
+});
+
+// Where a resumable upload stands
+app.get('/api/uploads/:uploadId', (req, res) => {
+    const upload = findUpload(req, req.params.uploadId);
+    if (!upload) return sendError(res, apiError('NOT_FOUND', 'Upload not found'));
+    res.json(toUploadStatus(upload));
+});
+
+// Append a chunk at Upload-Offset
+app.patch('/api/uploads/:uploadId', async (req, res) => {
+    const upload = findUpload(req, req.params.uploadId);
+    if (!upload) return sendError(res, apiError('NOT_FOUND', 'Upload not found'));
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (upload.writing) {
+        return sendError(res, apiError('CONFLICT', 'Another chunk is still being written'), toUploadStatus(upload));
+    }
+    if (offset !== upload.offset) {
+        return sendError(res, apiError('OFFSET_MISMATCH', `Offset mismatch: expected ${upload.offset}`), toUploadStatus(upload));
+    }
+    if (upload.offset + Number(req.get('Content-Length') || 0) > upload.size) {
+        return sendError(res, apiError('TOO_LARGE', 'Chunk goes past the declared file size', { size: upload.size }), toUploadStatus(upload));
+    }
+
+    try {
+        await appendChunk(upload, req);
+        res.json(toUploadStatus(upload));
+    } catch (e) {
+        // The client may be gone already; it will ask for the offset when it retries
+        if (!res.headersSent) {
+            sendError(res.set('Connection', 'close'), e, toUploadStatus(upload));
+        }
     }
 });
 
+// Abandon a resumable upload
+app.delete('/api/uploads/:uploadId', async (req, res) => {
+    const upload = findUpload(req, req.params.uploadId);
+    if (!upload) return sendError(res, apiError('NOT_FOUND', 'Upload not found'));
+
+    chunkedUploads.delete(upload.id);
+    await fsp.unlink(upload.path).catch(() => {});
+    res.json({ success: true, uploadId: upload.id });
+});
+
 // Convert endpoint
 app.post('/api/convert', upload.single('file'), async (req, res) => {
-    // Check if at max capacity
-    if (processingCount >= CONFIG.MAX_CONCURRENT_JOBS) {
+    // Turn the request away only when the queue itself is full
+    if (isQueueFull()) {
         if (req.file) await fsp.unlink(req.file.path).catch(() => {});
-        return res.status(503).json({ 
-            error: 'Server busy. Please try again.',
-            activeJobs: processingCount,
-            maxJobs: CONFIG.MAX_CONCURRENT_JOBS
-        });
+        return sendError(res, queueFullError());
     }
 
-    processingCount++;
     req.setTimeout(CONFIG.REQUEST_TIMEOUT_MS); 
     res.setTimeout(CONFIG.REQUEST_TIMEOUT_MS);
-    const file = req.file;
-    const sessionId = uuidv4();
+    let file = req.file;
+    const sessionId = req.id;
+    const log = req.log.child({ sessionId });
+
+    // Files sent through /api/uploads are referenced by id instead of attached
+    if (!file && req.body?.uploadId) {
+        try {
+            file = await takeChunkedUpload(req, req.body.uploadId);
+        } catch (e) {
+            return sendError(res, e);
+        }
+    }
 
     if (!file) { 
-        processingCount--; 
-        return res.status(400).json({ error: 'No file' }); 
+        return sendError(res, apiError('NO_FILE', 'No file: send a `file` field or an uploadId')); 
     }
     
-    console.log(`\n📂 Processing: ${file.originalname} (Session: ${sessionId})`);
+    if (!getUploadFormat(file)) {
+        await fsp.unlink(file.path).catch(() => {});
+        return sendError(res, unsupportedFormatError(file));
+    }
 
-    const options = {
-        preservePosition: req.body?.preservePosition !== 'false',
-        centerModel: req.body?.centerModel === 'true',
-        groundModel: req.body?.groundModel === 'true',
-        rotateToYUp: req.body?.rotateToYUp === 'true'
-    };
-    
-    console.log(`   ⚙️ Options:`, options);
+    const mismatch = await checkFileSignature(file).catch(e => e.message);
+    if (mismatch) {
+        await fsp.unlink(file.path).catch(() => {});
+        return sendError(res, apiError('CONTENT_MISMATCH', mismatch));
+    }
 
+    let options;
     try {
-        let meshes = [];
-        let modelBounds = null;
-        
-        if (['.step', '.stp'].includes(path.extname(file.originalname).toLowerCase())) {
-            const occt = await initOCCT();
-            if (!occt) throw new Error("OCCT load failed");
-            
-            const buffer = await fsp.readFile(file.path);
-            const result = occt.ReadStepFile(new Uint8Array(buffer));
-            if (!result.success) throw new Error("Parse failed");
-
-            meshes = result.meshes.map((m, i) => ({
-                name: m.name || `Part_${i}`,
-                positions: new Float32Array(m.attributes.position.array),
-                indices: m.index ? new Uint32Array(m.index.array) : null,
-                normals: m.attributes.normal ? new Float32Array(m.attributes.normal.array) : null,
-                color: m.color ? [m.color[0], m.color[1], m.color[2]] : null
-            }));
+        options = parseConvertOptions(req.body);
+        // Chunked uploads were counted against the quota when they started
+        if (req.file) checkWorkspaceQuota(req.workspace, file.size);
+    } catch (e) {
+        await fsp.unlink(file.path).catch(() => {});
+        return sendError(res, e);
+    }
 
-            modelBounds = getModelBounds(meshes);
-            console.log(`   📏 Original bounds:`, modelBounds);
+    log.info('Conversion requested', { fileName: file.originalname, size: file.size, workspace: req.workspace, options });
 
-            meshes = processGeometry(meshes, options);
+    // Repeats are answered from the cache without waiting for a slot
+    let cacheKey;
+    try {
+        const cached = await findCachedConversion(file, options, sessionId, { workspace: req.workspace });
+        if (cached.result) return res.json(cached.result);
+        cacheKey = cached.cacheKey;
+    } catch (e) {
+        await fsp.unlink(file.path).catch(() => {});
+        logError(log, 'Conversion failed', e);
+        return sendError(res, e);
+    }
 
-            meshes.forEach(m => {
-                if (!m.normals) m.normals = computeNormals(m.positions, m.indices);
-            });
+    // Leave the queue or cancel the job if the client goes away before we answer
+    res.on('close', () => {
+        if (res.writableEnded) return;
+        leaveQueue(sessionId, 'Client disconnected') || cancelConversionJob(sessionId, 'Client disconnected');
+    });
 
-        } else {
-            const outName = `${uuidv4()}.glb`;
-            const outPath = path.join(convertedDir, outName);
-            await fsp.rename(file.path, outPath);
-            
-            // Track this file
-            activeFiles.set(outName, { createdAt: Date.now(), sessionId });
-            
-            processingCount--;
-            return res.json({ 
-                success: true, 
-                url: `/converted/${outName}`, 
-                originalFile: true,
-                sessionId
-            });
+    try {
+        await acquireSlot(sessionId, {
+            onPosition: (position) => log.info('Queued', { position })
+        });
+    } catch (e) {
+        await fsp.unlink(file.path).catch(() => {});
+        if (!res.headersSent && !res.destroyed) {
+            sendError(res, e);
         }
+        return;
+    }
 
-        const glb = createGLB(meshes, modelBounds);
-        const outName = `${sessionId}.glb`;
-        const outPath = path.join(convertedDir, outName);
-        
-        await fsp.writeFile(outPath, glb);
+    try {
+        const result = await convertUpload(file, options, sessionId, {
+            onProgress: ({ phase, percent }) => log.debug('Progress', { phase, percent }),
+            workspace: req.workspace,
+            cacheKey
+        });
+        res.json(result);
+    } catch (e) {
+        logError(log, 'Conversion failed', e);
+        if (!res.headersSent) {
+            sendError(res, e, e.validation && { validation: e.validation });
+        }
+    } finally {
+        releaseSlot();
+    }
+});
+
+/**
+ * A queued job is abandoned once nobody watches its SSE stream or polls it
+ */
+function isJobAbandoned(job) {
+    return !progressStreams.get(job.id)?.size && Date.now() - job.lastSeenAt > CONFIG.QUEUE_ABANDON_MS;
+}
+
+// Start an asynchronous conversion job; poll GET /api/jobs/:jobId for progress
+app.post('/api/jobs', upload.single('file'), async (req, res) => {
+    if (isQueueFull()) {
+        if (req.file) await fsp.unlink(req.file.path).catch(() => {});
+        return sendError(res, queueFullError());
+    }
+
+    let file = req.file;
+    if (!file && req.body?.uploadId) {
+        try {
+            file = await takeChunkedUpload(req, req.body.uploadId);
+        } catch (e) {
+            return sendError(res, e);
+        }
+    }
+    if (!file) return sendError(res, apiError('NO_FILE', 'No file: send a `file` field or an uploadId'));
+
+    if (!getUploadFormat(file)) {
+        await fsp.unlink(file.path).catch(() => {});
+        return sendError(res, unsupportedFormatError(file));
+    }
+
+    const mismatch = await checkFileSignature(file).catch(e => e.message);
+    if (mismatch) {
+        await fsp.unlink(file.path).catch(() => {});
+        return sendError(res, apiError('CONTENT_MISMATCH', mismatch));
+    }
+
+    let options;
+    try {
+        options = parseConvertOptions(req.body);
+        // Chunked uploads were counted against the quota when they started
+        if (req.file) checkWorkspaceQuota(req.workspace, file.size);
+    } catch (e) {
         await fsp.unlink(file.path).catch(() => {});
+        return sendError(res, e);
+    }
 
-        // Track this file
-        activeFiles.set(outName, { createdAt: Date.now(), sessionId });
+    const job = createJob(file, options, req.workspace, req.id);
+    const log = req.log.child({ sessionId: job.id });
 
-        // Clear meshes to free memory
-        meshes = null;
+    log.info('Job started', {
+        fileName: file.originalname,
+        size: file.size,
+        workspace: job.workspace,
+        options: job.options
+    });
 
-        processingCount--;
-        console.log(`   ✅ Done. Size: ${(glb.length/1024/1024).toFixed(2)} MB`);
-        
-        res.json({ 
-            success: true, 
-            url: `/converted/${outName}`, 
-            size: glb.length, 
-            meshCount: meshes?.length || 0,
-            bounds: modelBounds,
-            options,
-            sessionId
-        });
+    res.status(202).json(toJobStatus(job));
+
+    // Hashing a large upload takes a while, so it happens after the reply.
+    // Repeats are answered from the cache without waiting for a slot.
+    runJob(job, async () => {
+        const { cacheKey, result } = await findCachedConversion(file, job.options, job.id, { workspace: job.workspace });
+        if (result) return result;
+        // A cancel while hashing found nothing to abort yet
+        if (job.status === 'cancelled') throw apiError('CANCELLED', 'Cancelled by user');
+
+        await acquireJobSlot(job);
+        return convertUpload(file, job.options, job.id, {
+            onProgress: ({ phase, percent }) => {
+                log.debug('Progress', { phase, percent });
+                job.phase = phase;
+                job.percent = percent;
+                publishProgress(job.id, 'progress', toJobStatus(job));
+            },
+            workspace: job.workspace,
+            cacheKey
+        }).finally(releaseSlot);
+    }, { log, files: [file] });
+});
 
+// Convert several files, or a zip of an assembly's parts, as one job; follow it
+// like any other job. Files come as `files` fields and/or finished resumable
+// uploads as comma-separated `uploadIds`. The job result is the manifest:
+// { converted, failed, skipped, files: [{ fileName, status, url, ... }] }.
+app.post('/api/convert/batch', upload.array('files'), async (req, res) => {
+    const received = [...(req.files || [])];
+    const discard = () => Promise.all(received.map(file => fsp.unlink(file.path).catch(() => {})));
+
+    if (isQueueFull()) {
+        await discard();
+        return sendError(res, queueFullError());
+    }
+
+    let options;
+    try {
+        options = parseConvertOptions(req.body);
+        for (const uploadId of parseList(req.body?.uploadIds)) {
+            received.push(await takeChunkedUpload(req, uploadId));
+        }
+    } catch (e) {
+        await discard();
+        return sendError(res, e);
+    }
+    if (!received.length) return sendError(res, apiError('NO_FILE', 'No files: send `files` fields or uploadIds'));
+
+    let batch;
+    try {
+        batch = await collectBatchFiles(received);
+    } catch (e) {
+        return sendError(res, e);
+    }
+    if (!batch.files.length) {
+        const supported = [...Object.keys(CAD_FORMATS), ...Object.keys(GLTF_FORMATS), '.zip'];
+        return sendError(res, apiError('UNSUPPORTED_FORMAT', `Nothing in the batch can be converted. Supported: ${supported.join(', ')}`, {
+            skipped: batch.skipped,
+            supported
+        }));
+    }
+    if (batch.files.length > CONFIG.MAX_BATCH_FILES) {
+        await Promise.all(batch.files.map(file => fsp.unlink(file.path).catch(() => {})));
+        return sendError(res, apiError('TOO_LARGE', `Too many files. A batch holds at most ${CONFIG.MAX_BATCH_FILES}`, { maxFiles: CONFIG.MAX_BATCH_FILES }));
+    }
+    try {
+        // Charged after unpacking, so a zip counts for what it expands to
+        checkWorkspaceQuota(req.workspace, batch.files.reduce((sum, file) => sum + file.size, 0));
+    } catch (e) {
+        await Promise.all(batch.files.map(file => fsp.unlink(file.path).catch(() => {})));
+        return sendError(res, e);
+    }
+
+    const label = received.length === 1 ? received[0].originalname : `${received.length} files`;
+    const job = createJob({ originalname: label }, options, req.workspace, req.id);
+    job.files = [
+        ...batch.files.map(file => ({ fileName: file.originalname, status: 'pending' })),
+        ...batch.skipped.map(fileName => ({ fileName, status: 'skipped', code: 'UNSUPPORTED_FORMAT', error: 'Unsupported format' }))
+    ];
+    const log = req.log.child({ sessionId: job.id });
+
+    let slot;
+    try {
+        slot = acquireJobSlot(job);
     } catch (e) {
-        console.error("Error:", e);
-        processingCount--;
-        if (file) await fsp.unlink(file.path).catch(() => {});
-        res.status(500).json({ error: e.message });
+        jobs.delete(job.id);
+        await Promise.all(batch.files.map(file => fsp.unlink(file.path).catch(() => {})));
+        return sendError(res, e);
     }
+
+    log.info(job.status === 'queued' ? 'Batch queued' : 'Batch started', {
+        fileName: label,
+        files: batch.files.length,
+        skipped: batch.skipped.length,
+        workspace: job.workspace,
+        options: job.options,
+        ...(job.status === 'queued' && { position: job.queuePosition })
+    });
+
+    res.status(202).json(toJobStatus(job));
+
+    runJob(job, () => slot.then(() => convertBatch(job, batch.files, log).finally(releaseSlot)), { log, files: batch.files });
+});
+
+// Live job progress as Server-Sent Events.
+// Emits `progress` events, then one final `complete`, `failed` or `cancelled` event.
+app.get('/api/convert/:sessionId/events', (req, res) => {
+    const { sessionId } = req.params;
+    const job = findJob(req, sessionId);
+    if (!job) return sendError(res, apiError('NOT_FOUND', 'Job not found'));
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    // Send the current state first so late subscribers start in sync
+    if (!isJobActive(job)) {
+        writeEvent(res, job.status, toJobStatus(job));
+        return res.end();
+    }
+    writeEvent(res, 'progress', toJobStatus(job));
+
+    if (!progressStreams.has(sessionId)) progressStreams.set(sessionId, new Set());
+    progressStreams.get(sessionId).add(res);
+
+    // Comment frames keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), CONFIG.SSE_KEEPALIVE_MS);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        job.lastSeenAt = Date.now();
+        const streams = progressStreams.get(sessionId);
+        if (!streams) return;
+        streams.delete(res);
+        if (streams.size === 0) progressStreams.delete(sessionId);
+    });
+});
+
+// Job status
+app.get('/api/jobs/:jobId', (req, res) => {
+    const job = findJob(req, req.params.jobId);
+    if (!job) return sendError(res, apiError('NOT_FOUND', 'Job not found'));
+    job.lastSeenAt = Date.now();
+    res.json(toJobStatus(job));
+});
+
+// Cancel a queued or running job
+app.delete('/api/jobs/:jobId', (req, res) => {
+    const job = findJob(req, req.params.jobId);
+    if (!job) return sendError(res, apiError('NOT_FOUND', 'Job not found'));
+
+    if (!isJobActive(job)) {
+        return sendError(res, apiError('CONFLICT', `Job already ${job.status}`), toJobStatus(job));
+    }
+
+    job.status = 'cancelled';
+    leaveQueue(job.id, 'Cancelled by user') || cancelConversionJob(job.id, 'Cancelled by user');
+    req.log.info('Job cancelled', { sessionId: job.id });
+    res.json(toJobStatus(job));
+});
+
+// Session heartbeat: the viewer calls this while a converted model is open,
+// so its files are not cleaned up however long it stays loaded
+app.post('/api/session/:sessionId/heartbeat', (req, res) => {
+    const { sessionId } = req.params;
+    let files = 0;
+
+    for (const [filename, info] of activeFiles.entries()) {
+        if (info.sessions.has(sessionId) && canAccessFile(req, filename)) {
+            touchFile(filename);
+            files++;
+        }
+    }
+
+    const job = findJob(req, sessionId);
+    if (job) job.lastSeenAt = Date.now();
+
+    if (files === 0 && !job) return sendError(res, apiError('NOT_FOUND', 'Session not found'));
+    res.json({ success: true, sessionId, files });
 });
 
 // Session cleanup endpoint (for frontend to call when user leaves/closes model)
@@ -955,9 +2612,9 @@ app.post('/api/session/:sessionId/cleanup', async (req, res) => {
         const { sessionId } = req.params;
         let filesDeleted = 0;
 
-        // Find and delete files associated with this session
+        // Find and delete files associated with this session (unless another session shares them)
         for (const [filename, info] of activeFiles.entries()) {
-            if (info.sessionId === sessionId) {
+            if (info.sessions.has(sessionId) && canAccessFile(req, filename) && releaseFile(filename, sessionId)) {
                 const filePath = path.join(convertedDir, filename);
                 const deleted = await safeDeleteFile(filePath, `session ${sessionId} cleanup`);
                 if (deleted) {
@@ -973,7 +2630,7 @@ app.post('/api/session/:sessionId/cleanup', async (req, res) => {
             filesDeleted 
         });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
@@ -984,16 +2641,21 @@ app.post('/api/cleanup-model', async (req, res) => {
         let deleted = false;
 
         if (url) {
-            const filename = path.basename(url);
-            const filePath = path.join(convertedDir, filename);
-            deleted = await safeDeleteFile(filePath, 'model clear');
-            activeFiles.delete(filename);
+            const filename = path.basename(String(url));
+            const filePath = resolveStoredFile(convertedDir, filename, CONVERTED_NAME_PATTERN);
+            if (!filePath) return sendError(res, apiError('INVALID_FILENAME', 'Invalid model URL'));
+
+            // A cached file shared with other sessions stays until the last one lets go
+            if (canAccessFile(req, filename) && (!sessionId || releaseFile(filename, sessionId))) {
+                deleted = await safeDeleteFile(filePath, 'model clear');
+                activeFiles.delete(filename);
+            }
         }
 
         if (sessionId) {
             // Also cleanup any files from this session
             for (const [filename, info] of activeFiles.entries()) {
-                if (info.sessionId === sessionId) {
+                if (info.sessions.has(sessionId) && canAccessFile(req, filename) && releaseFile(filename, sessionId)) {
                     const filePath = path.join(convertedDir, filename);
                     await safeDeleteFile(filePath, 'session clear');
                     activeFiles.delete(filename);
@@ -1003,7 +2665,7 @@ app.post('/api/cleanup-model', async (req, res) => {
 
         res.json({ success: true, deleted });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e);
     }
 });
 
@@ -1022,7 +2684,7 @@ function getMemoryUsage() {
     };
 }
 
-app.get('/api/memory', (req, res) => {
+app.get('/api/memory', requireAdmin, (req, res) => {
     res.json({
         memory: getMemoryUsage(),
         system: {
@@ -1034,7 +2696,7 @@ app.get('/api/memory', (req, res) => {
 });
 
 // Force garbage collection (if --expose-gc flag is used)
-app.post('/api/gc', (req, res) => {
+app.post('/api/gc', requireAdmin, (req, res) => {
     if (global.gc) {
         const before = getMemoryUsage();
         global.gc();
@@ -1046,42 +2708,70 @@ app.post('/api/gc', (req, res) => {
             freedMB: (parseFloat(before.heapUsedMB) - parseFloat(after.heapUsedMB)).toFixed(2)
         });
     } else {
-        res.status(400).json({ 
-            error: 'Garbage collection not exposed. Start server with --expose-gc flag.' 
-        });
+        sendError(res, apiError('BAD_REQUEST', 'Garbage collection not exposed. Start server with --expose-gc flag.'));
     }
 });
 
+// Errors thrown outside the route handlers: multer, the body parser, anything unexpected
+app.use((err, req, res, next) => {
+    if (req.file) fsp.unlink(req.file.path).catch(() => {});
+    for (const file of req.files || []) fsp.unlink(file.path).catch(() => {});
+    if (res.headersSent) return next(err);
+
+    let e = err;
+    if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') e = tooLargeError();
+        else if (err.code === 'LIMIT_FILE_COUNT') e = apiError('TOO_LARGE', `Too many files. A batch holds at most ${CONFIG.MAX_BATCH_FILES}`, { maxFiles: CONFIG.MAX_BATCH_FILES });
+        else e = apiError('BAD_REQUEST', err.message, { field: err.field });
+    } else if (err.type === 'entity.parse.failed') {
+        e = apiError('BAD_REQUEST', 'Malformed JSON body');
+    } else if (err.type === 'entity.too.large') {
+        e = apiError('TOO_LARGE', 'Request body too large');
+    } else if (!ERROR_CODES[err.code]) {
+        req.log.error('Unhandled error', { error: err });
+    }
+    sendError(res, e);
+});
+
 // ============================================
 // GRACEFUL SHUTDOWN
 // ============================================
 async function gracefulShutdown(signal) {
-    console.log(`\n${signal} received. Starting graceful shutdown...`);
+    logger.info('Graceful shutdown started', { signal });
     
     // Stop accepting new connections
     stopScheduledCleanup();
+
+    // Queued conversions will never get a slot
+    for (const { sessionId } of [...waitingQueue]) {
+        leaveQueue(sessionId, 'Server shutting down', 'INTERRUPTED');
+    }
     
     // Wait for active jobs to complete (with timeout)
     const maxWait = 30000; // 30 seconds
     const startWait = Date.now();
     
     while (processingCount > 0 && (Date.now() - startWait) < maxWait) {
-        console.log(`Waiting for ${processingCount} active jobs...`);
+        logger.info('Waiting for active jobs', { activeJobs: processingCount });
         await new Promise(resolve => setTimeout(resolve, 1000));
     }
 
     if (processingCount > 0) {
-        console.warn(`⚠️  Force shutting down with ${processingCount} active jobs`);
+        logger.warn('Forcing shutdown with active jobs', { activeJobs: processingCount });
     }
 
     // Run final cleanup
-    console.log('Running final cleanup...');
-    await runFullCleanup({ maxAge: 0 }).catch(console.error);
+    logger.info('Running final cleanup');
+    await runFullCleanup({ maxAge: 0 }).catch(e => logger.error('Final cleanup failed', { error: e }));
+    await saveMetadata();
 
-    // Release OCCT
-    releaseOCCT();
+    // Abort anything still running and stop the worker pool
+    for (const sessionId of runningJobs.keys()) {
+        cancelConversionJob(sessionId, 'Server shutting down');
+    }
+    await conversionPool.destroy().catch(e => logger.error('Could not stop the worker pool', { error: e }));
 
-    console.log('Shutdown complete');
+    logger.info('Shutdown complete');
     process.exit(0);
 }
 
@@ -1090,25 +2780,33 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 // Handle uncaught errors
 process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
+    logger.error('Uncaught exception', { error });
     // Don't exit, try to continue
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    logger.error('Unhandled rejection', { error: reason });
     // Don't exit, try to continue
 });
 
 // ============================================
 // START SERVER
 // ============================================
-initOCCT();
+loadMetadata();
+adoptUntrackedFiles();
 startScheduledCleanup();
 
 app.listen(PORT, () => {
-    console.log(`\n🚀 Server running on port ${PORT}`);
-    console.log(`📁 Uploads: ${uploadsDir}`);
-    console.log(`📁 Converted: ${convertedDir}`);
-    console.log(`⚙️  Config: Max ${CONFIG.MAX_STORAGE_MB}MB storage, ${CONFIG.MAX_FILE_AGE_MS/60000}min file age`);
-    console.log(`💾 Memory: ${JSON.stringify(getMemoryUsage())}\n`);
+    logger.info('Server running', {
+        port: Number(PORT),
+        uploadsDir,
+        convertedDir,
+        maxStorageMB: CONFIG.MAX_STORAGE_MB,
+        maxFileAgeMinutes: CONFIG.MAX_FILE_AGE_MS / 60000,
+        adminKeys: apiKeys.filter(k => k.role === 'admin').length,
+        userRoutes: userKeyRequired ? 'need a key' : 'open',
+        corsOrigins: corsOrigin,
+        workspaceQuotaMB: CONFIG.WORKSPACE_QUOTA_MB,
+        memory: getMemoryUsage()
+    });
 });
\ No newline at end of file
@@ -0,0 +1,102 @@
+// Backend/test/cleanup.test.js
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs, { promises as fsp } from 'fs';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BACKEND_DIR = path.join(__dirname, '..');
+const PORT = 5099;
+const ADMIN_KEY = 'cleanup-test-admin';
+const HOUR = 60 * 60 * 1000;
+
+const glbName = (char) => `${char.repeat(64)}.glb`;
+
+// The server keeps its files next to server.js, so run a copy from a scratch directory
+const SKIPPED = new Set(['node_modules', 'uploads', 'data', 'test']);
+
+async function copyServer(dir) {
+    await fsp.cp(BACKEND_DIR, dir, {
+        recursive: true,
+        filter: (source) => path.dirname(source) !== BACKEND_DIR || !SKIPPED.has(path.basename(source))
+    });
+    await fsp.symlink(path.join(BACKEND_DIR, 'node_modules'), path.join(dir, 'node_modules'));
+}
+
+async function waitForServer(child) {
+    for (let i = 0; i < 100; i++) {
+        if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}`);
+        try {
+            if ((await fetch(`http://localhost:${PORT}/api/health`)).ok) return;
+        } catch {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Server did not start');
+}
+
+describe('stored converted files', () => {
+    let dir;
+    let server;
+    const convertedDir = () => path.join(dir, 'uploads', 'converted');
+
+    before(async () => {
+        dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'cleanup-test-'));
+        await copyServer(dir);
+        await fsp.mkdir(convertedDir(), { recursive: true });
+        await fsp.mkdir(path.join(dir, 'data'));
+
+        // One model a closed tab still claims, one a viewer is looking at right now
+        const now = Date.now();
+        const twoHoursAgo = new Date(now - 2 * HOUR);
+        const stored = { version: 1, files: {}, sessions: {}, cache: {}, jobs: [] };
+        for (const [filename, lastSeenAt] of [[glbName('a'), now - 2 * HOUR], [glbName('b'), now]]) {
+            const filePath = path.join(convertedDir(), filename);
+            await fsp.writeFile(filePath, Buffer.alloc(1024));
+            await fsp.utimes(filePath, twoHoursAgo, twoHoursAgo);
+            stored.files[filename] = { workspace: 'public', size: 1024, createdAt: now - 2 * HOUR, lastAccess: lastSeenAt };
+            stored.sessions[filename] = { lastSeenAt, sessionId: filename, sessions: [filename] };
+        }
+        await fsp.writeFile(path.join(dir, 'data', 'metadata.json'), JSON.stringify(stored));
+
+        // And one converted before the metadata store existed, last served 20 minutes ago
+        const legacyPath = path.join(convertedDir(), glbName('c'));
+        const twentyMinutesAgo = new Date(now - HOUR / 3);
+        await fsp.writeFile(legacyPath, Buffer.alloc(1024));
+        await fsp.utimes(legacyPath, twentyMinutesAgo, twentyMinutesAgo);
+
+        server = spawn(process.execPath, ['server.js'], {
+            cwd: dir,
+            env: { ...process.env, PORT: String(PORT), ADMIN_API_KEYS: ADMIN_KEY },
+            stdio: 'ignore'
+        });
+        await waitForServer(server);
+    });
+
+    after(async () => {
+        server?.kill('SIGKILL');
+        if (dir) await fsp.rm(dir, { recursive: true, force: true });
+    });
+
+    test('evicts a tracked file nobody has used for the retention window', async () => {
+        const res = await fetch(`http://localhost:${PORT}/api/cleanup`, {
+            method: 'POST',
+            headers: { 'X-API-Key': ADMIN_KEY }
+        });
+        assert.equal(res.status, 200);
+
+        assert.equal(fs.existsSync(path.join(convertedDir(), glbName('a'))), false);
+        assert.equal(fs.existsSync(path.join(convertedDir(), glbName('b'))), true);
+    });
+
+    test('keeps files from before the metadata store in the default workspace', async () => {
+        const url = `http://localhost:${PORT}/converted/${glbName('c')}`;
+        assert.equal(fs.existsSync(path.join(convertedDir(), glbName('c'))), true);
+        assert.equal((await fetch(url)).status, 200);
+        assert.equal((await fetch(url, { headers: { 'X-Workspace-Id': 'other' } })).status, 404);
+    });
+});
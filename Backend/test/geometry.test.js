@@ -0,0 +1,257 @@
+// Backend/test/geometry.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import { promises as fsp } from 'fs';
+import { fileURLToPath } from 'url';
+import { getModelBounds, processGeometry, computeNormals, createGLB } from '../workers/geometry.js';
+import { io } from '../workers/glbCompression.js';
+import processCADFile from '../workers/occtWorker.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SAMPLES_DIR = path.join(__dirname, '..', 'node_modules', 'occt-import-js', 'test', 'testfiles');
+const BUNDLED_GLB_DIR = path.join(__dirname, '..', 'uploads', 'converted');
+
+const GLB_MAGIC = 0x46546C67;
+const CHUNK_JSON = 0x4E4F534A;
+const CHUNK_BIN = 0x004E4942;
+
+// Bytes per accessor component and components per element (glTF 2.0 section 3.6.2.2)
+const COMPONENT_SIZES = { 5120: 1, 5121: 1, 5122: 2, 5123: 2, 5125: 4, 5126: 4 };
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+// Two triangles of a unit square in the XY plane, wound counter-clockwise (facing +Z)
+function square(z = 0) {
+    return {
+        name: 'Square',
+        positions: new Float32Array([0, 0, z, 1, 0, z, 1, 1, z, 0, 1, z]),
+        indices: new Uint32Array([0, 1, 2, 0, 2, 3]),
+        normals: null,
+        color: [1, 0, 0]
+    };
+}
+
+function assertVectorsClose(actual, expected, message) {
+    assert.equal(actual.length, expected.length, message);
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-6, `${message}: [${i}] ${value} != ${expected[i]}`));
+}
+
+/**
+ * Check the GLB container byte by byte (spec section 4.4) and return its JSON and BIN chunks
+ */
+function checkGLBLayout(glb) {
+    assert.ok(glb.length >= 20, 'GLB is shorter than its headers');
+    assert.equal(glb.readUInt32LE(0), GLB_MAGIC, 'magic');
+    assert.equal(glb.readUInt32LE(4), 2, 'container version');
+    assert.equal(glb.readUInt32LE(8), glb.length, 'declared length matches the file');
+
+    const jsonLength = glb.readUInt32LE(12);
+    assert.equal(glb.readUInt32LE(16), CHUNK_JSON, 'first chunk is JSON');
+    assert.equal(jsonLength % 4, 0, 'JSON chunk is 4-byte aligned');
+    const json = JSON.parse(glb.subarray(20, 20 + jsonLength).toString('utf8'));
+
+    let bin = null;
+    const binStart = 20 + jsonLength;
+    if (binStart < glb.length) {
+        const binLength = glb.readUInt32LE(binStart);
+        assert.equal(glb.readUInt32LE(binStart + 4), CHUNK_BIN, 'second chunk is BIN');
+        assert.equal(binLength % 4, 0, 'BIN chunk is 4-byte aligned');
+        assert.equal(binStart + 8 + binLength, glb.length, 'BIN chunk ends the file');
+        bin = glb.subarray(binStart + 8, binStart + 8 + binLength);
+    }
+
+    assert.equal(json.asset.version, '2.0');
+    if (json.buffers?.length) {
+        assert.ok(bin, 'buffers need a BIN chunk');
+        assert.ok(json.buffers[0].byteLength <= bin.length, 'buffer fits in the BIN chunk');
+    }
+    for (const [i, view] of (json.bufferViews || []).entries()) {
+        const end = (view.byteOffset || 0) + view.byteLength;
+        assert.ok(end <= json.buffers[view.buffer].byteLength, `bufferView ${i} inside its buffer`);
+        // Only the first buffer may live in the BIN chunk; it is the one without a uri
+        if (view.buffer === 0 && !json.buffers[0].uri) assert.ok(end <= bin.length, `bufferView ${i} inside the BIN chunk`);
+    }
+    for (const [i, accessor] of (json.accessors || []).entries()) {
+        if (accessor.bufferView === undefined) continue; // all zeros (or sparse only)
+        const view = json.bufferViews[accessor.bufferView];
+        const componentSize = COMPONENT_SIZES[accessor.componentType];
+        const elementSize = componentSize * TYPE_SIZES[accessor.type];
+        const offset = accessor.byteOffset || 0;
+        assert.ok(componentSize && elementSize, `accessor ${i} has a known type`);
+        assert.equal(((view.byteOffset || 0) + offset) % componentSize, 0, `accessor ${i} is aligned to its component size`);
+        // The last element needs only its own size, not a whole stride
+        const byteLength = offset + (accessor.count - 1) * (view.byteStride || elementSize) + elementSize;
+        assert.ok(byteLength <= view.byteLength, `accessor ${i} fits its bufferView`);
+    }
+
+    return { json, bin };
+}
+
+describe('getModelBounds', () => {
+    test('spans all meshes', () => {
+        const a = { positions: new Float32Array([-1, 0, 2, 3, 4, 5]) };
+        const b = { positions: new Float32Array([10, -6, 0]) };
+        const bounds = getModelBounds([a, b]);
+        assert.deepEqual(bounds.min, { x: -1, y: -6, z: 0 });
+        assert.deepEqual(bounds.max, { x: 10, y: 4, z: 5 });
+        assert.deepEqual(bounds.center, { x: 4.5, y: -1, z: 2.5 });
+        assert.deepEqual(bounds.size, { x: 11, y: 10, z: 5 });
+    });
+});
+
+describe('computeNormals', () => {
+    test('indexed triangles facing +Z', () => {
+        const { positions, indices } = square();
+        assertVectorsClose(computeNormals(positions, indices), [0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1], 'normals');
+    });
+
+    test('unindexed triangles, one per 9 floats', () => {
+        const positions = new Float32Array([0, 0, 0, 0, 0, 1, 0, 1, 0]); // in the YZ plane, facing -X
+        assertVectorsClose(computeNormals(positions, null), [-1, 0, 0, -1, 0, 0, -1, 0, 0], 'normals');
+    });
+
+    test('shared vertices average the faces around them', () => {
+        // A floor triangle (+Y) and a wall triangle (+Z) sharing the edge along X
+        const positions = new Float32Array([0, 0, 0, 1, 0, 0, 0, 0, -1, 0, 1, 0]);
+        const indices = new Uint32Array([0, 1, 2, 0, 1, 3]);
+        const normals = computeNormals(positions, indices);
+        const d = Math.SQRT1_2;
+        assertVectorsClose(normals.subarray(0, 6), [0, d, d, 0, d, d], 'shared edge');
+        assertVectorsClose(normals.subarray(6, 9), [0, 1, 0], 'floor only');
+        assertVectorsClose(normals.subarray(9, 12), [0, 0, 1], 'wall only');
+    });
+
+    test('degenerate triangles give zero normals instead of NaN', () => {
+        const normals = computeNormals(new Float32Array([1, 1, 1, 1, 1, 1, 1, 1, 1]), null);
+        assert.ok(normals.every(n => n === 0));
+    });
+});
+
+describe('processGeometry', () => {
+    test('leaves meshes alone by default', () => {
+        const mesh = square(3);
+        processGeometry([mesh]);
+        assertVectorsClose(mesh.positions, square(3).positions, 'positions');
+    });
+
+    test('rotates Z-up to Y-up: (x, y, z) becomes (x, z, -y)', () => {
+        const mesh = square(3);
+        mesh.normals = computeNormals(mesh.positions, mesh.indices);
+        processGeometry([mesh], { rotateToYUp: true });
+        assertVectorsClose(mesh.positions, [0, 3, 0, 1, 3, 0, 1, 3, -1, 0, 3, -1], 'positions');
+        assertVectorsClose(mesh.normals.subarray(0, 3), [0, 1, 0], 'the +Z face now points up');
+    });
+
+    test('centers the model on the origin', () => {
+        const mesh = square(3);
+        processGeometry([mesh], { preservePosition: false, centerModel: true });
+        const bounds = getModelBounds([mesh]);
+        assert.deepEqual(bounds.center, { x: 0, y: 0, z: 0 });
+    });
+
+    test('grounds the rotated model on y = 0', () => {
+        const mesh = square(3);
+        mesh.positions[2] = 5; // give the square some height along Z
+        processGeometry([mesh], { preservePosition: false, groundModel: true, rotateToYUp: true });
+        assert.equal(getModelBounds([mesh]).min.y, 0);
+    });
+});
+
+describe('createGLB', () => {
+    test('writes a valid GLB container', () => {
+        const mesh = square();
+        mesh.normals = computeNormals(mesh.positions, mesh.indices);
+        const glb = createGLB([mesh], getModelBounds([mesh]));
+        const { json, bin } = checkGLBLayout(glb);
+
+        assert.equal(json.meshes.length, 1);
+        const [primitive] = json.meshes[0].primitives;
+        const position = json.accessors[primitive.attributes.POSITION];
+        assert.equal(position.count, 4);
+        assert.deepEqual(position.min, [0, 0, 0]);
+        assert.deepEqual(position.max, [1, 1, 0]);
+        assert.equal(json.accessors[primitive.indices].count, 6);
+        assert.deepEqual(json.materials[primitive.material].pbrMetallicRoughness.baseColorFactor, [1, 0, 0, 1]);
+        assert.deepEqual(json.extras.originalBounds.size, { x: 1, y: 1, z: 0 });
+
+        // The index data in the BIN chunk is what we put in
+        const view = json.bufferViews[json.accessors[primitive.indices].bufferView];
+        assert.deepEqual([...new Uint32Array(bin.buffer.slice(bin.byteOffset + view.byteOffset, bin.byteOffset + view.byteOffset + view.byteLength))], [0, 1, 2, 0, 2, 3]);
+    });
+
+    test('writes only the viewed part of typed array views', () => {
+        const backing = new Float32Array([99, 99, 99, ...square().positions]);
+        const mesh = { ...square(), positions: backing.subarray(3) };
+        mesh.normals = computeNormals(mesh.positions, mesh.indices);
+        const { json } = checkGLBLayout(createGLB([mesh]));
+        assert.equal(json.bufferViews[0].byteLength, 4 * 3 * 4);
+    });
+
+    test('mirrors the assembly hierarchy', () => {
+        const meshes = [square(0), square(1)].map((m, i) => ({ ...m, name: `Part_${i}`, normals: computeNormals(m.positions, m.indices) }));
+        const hierarchy = { name: 'Assembly', meshes: [0], children: [{ name: 'Sub', meshes: [1, 0] }] };
+        const { json } = checkGLBLayout(createGLB(meshes, null, {}, hierarchy));
+
+        const root = json.nodes[json.scenes[0].nodes[0]];
+        assert.equal(root.name, 'Assembly');
+        const sub = json.nodes[root.children[1]];
+        assert.equal(sub.name, 'Sub');
+        // Mesh 0 appears twice, so the second use gets its own node
+        assert.equal(new Set([root.children[0], ...sub.children]).size, 3);
+    });
+
+    test('can be read back by gltf-transform', async () => {
+        const mesh = square();
+        mesh.normals = computeNormals(mesh.positions, mesh.indices);
+        const document = await io.readBinary(new Uint8Array(createGLB([mesh])));
+        const [readMesh] = document.getRoot().listMeshes();
+        assert.equal(readMesh.getName(), 'Square');
+        assert.equal(readMesh.listPrimitives()[0].getAttribute('NORMAL').getCount(), 4);
+    });
+});
+
+describe('bundled sample GLBs', async () => {
+    const files = (await fsp.readdir(BUNDLED_GLB_DIR).catch(() => [])).filter(file => file.endsWith('.glb'));
+
+    for (const file of files) {
+        test(`${file} has a valid GLB layout`, async (t) => {
+            const glb = await fsp.readFile(path.join(BUNDLED_GLB_DIR, file));
+            // Uploads the server once stored unconverted under a .glb name are no GLB at all
+            if (glb.length < 4 || glb.readUInt32LE(0) !== GLB_MAGIC) {
+                t.skip(`not a GLB container (starts with ${JSON.stringify(glb.subarray(0, 8).toString('latin1'))})`);
+                return;
+            }
+            checkGLBLayout(glb);
+        });
+    }
+});
+
+describe('OCCT worker with the bundled sample models', () => {
+    for (const [sample, format] of [['cube-10x10mm/Cube 10x10.igs', 'iges'], ['cube-10x10mm/Cube 10x10.stp', 'step']]) {
+        test(`converts ${sample} to a valid Y-up GLB`, async () => {
+            const outPath = path.join(os.tmpdir(), `geometry-test-${process.pid}-${format}.glb`);
+            try {
+                const result = await processCADFile({
+                    filePath: path.join(SAMPLES_DIR, sample),
+                    outPath,
+                    format,
+                    options: { preservePosition: true, rotateToYUp: true, compression: 'none', tessellation: null }
+                });
+                assert.equal(result.success, true);
+
+                const { json } = checkGLBLayout(await fsp.readFile(outPath));
+                assert.equal(json.meshes.length, result.meshCount);
+
+                // The 10 mm cube spans y 0..10 in the file; after rotation that becomes z -10..0
+                const { min, max } = json.extras.originalBounds;
+                assert.deepEqual([min.y, max.y], [0, 10]);
+                const positions = json.meshes.flatMap(m => m.primitives.map(p => json.accessors[p.attributes.POSITION]));
+                assert.ok(positions.every(a => a.min[2] >= -10 - 1e-4 && a.max[2] <= 1e-4), 'rotated into -Z');
+                assert.ok(positions.every(a => a.min[1] >= -5 - 1e-4 && a.max[1] <= 5 + 1e-4), 'rotated into Y');
+            } finally {
+                await fsp.unlink(outPath).catch(() => {});
+            }
+        });
+    }
+});
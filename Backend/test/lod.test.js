@@ -0,0 +1,93 @@
+// Backend/test/lod.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document } from '@gltf-transform/core';
+import { io } from '../workers/glbCompression.js';
+import { MSFTLod } from '../workers/msftLod.js';
+import { simplifyDocument } from '../workers/glbSimplify.js';
+
+function triangle(document, name) {
+    const buffer = document.getRoot().listBuffers()[0] || document.createBuffer();
+    const position = document.createAccessor().setType('VEC3').setBuffer(buffer)
+        .setArray(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]));
+    return document.createMesh(name).addPrimitive(document.createPrimitive().setAttribute('POSITION', position));
+}
+
+// UV sphere of 2 * segments * (segments - 1) triangles, curved everywhere so the simplifier has real work
+function sphere(document, name, segments) {
+    const positions = [];
+    for (let y = 0; y <= segments; y++) {
+        const theta = (y / segments) * Math.PI;
+        for (let x = 0; x <= segments; x++) {
+            const phi = (x / segments) * 2 * Math.PI;
+            positions.push(Math.sin(theta) * Math.cos(phi), Math.cos(theta), Math.sin(theta) * Math.sin(phi));
+        }
+    }
+    const indices = [];
+    const row = segments + 1;
+    for (let y = 0; y < segments; y++) {
+        for (let x = 0; x < segments; x++) {
+            const a = y * row + x;
+            if (y > 0) indices.push(a, a + 1, a + row);
+            if (y < segments - 1) indices.push(a + 1, a + row + 1, a + row);
+        }
+    }
+    const buffer = document.getRoot().listBuffers()[0] || document.createBuffer();
+    const prim = document.createPrimitive()
+        .setAttribute('POSITION', document.createAccessor().setType('VEC3').setBuffer(buffer).setArray(new Float32Array(positions)))
+        .setIndices(document.createAccessor().setType('SCALAR').setBuffer(buffer).setArray(new Uint32Array(indices)));
+    return document.createMesh(name).addPrimitive(prim);
+}
+
+const countTriangles = (mesh) => mesh.listPrimitives().reduce((sum, prim) => sum + prim.getIndices().getCount() / 3, 0);
+
+describe('MSFT_lod', () => {
+    test('survives a GLB round trip', async () => {
+        const document = new Document();
+        const base = document.createNode('Part').setMesh(triangle(document, 'Part')).setTranslation([1, 2, 3]).setExtras({ partId: 7 });
+        document.createScene().addChild(base);
+
+        const lodExtension = document.createExtension(MSFTLod);
+        const lod = lodExtension.createLod().setScreenCoverage([0.5, 0]);
+        lod.addLevel(document.createNode('Part_LOD1').setMesh(triangle(document, 'Part_LOD1')));
+        base.setExtension(MSFTLod.EXTENSION_NAME, lod);
+
+        const glb = await io.writeBinary(document);
+        const json = JSON.parse(Buffer.from(glb.buffer, glb.byteOffset + 20, new DataView(glb.buffer, glb.byteOffset).getUint32(12, true)).toString('utf8'));
+        const baseDef = json.nodes.find(n => n.name === 'Part');
+        assert.deepEqual(json.extensionsUsed, ['MSFT_lod']);
+        assert.equal(json.nodes[baseDef.extensions.MSFT_lod.ids[0]].name, 'Part_LOD1');
+        assert.deepEqual(baseDef.extras, { partId: 7, MSFT_screencoverage: [0.5, 0] });
+        // Levels are stand-ins, not part of the scene
+        assert.deepEqual(json.scenes[0].nodes.map(i => json.nodes[i].name), ['Part']);
+
+        const readBack = await io.readBinary(glb);
+        const readBase = readBack.getRoot().listNodes().find(n => n.getName() === 'Part');
+        const readLod = readBase.getExtension(MSFTLod.EXTENSION_NAME);
+        assert.deepEqual(readLod.listLevels().map(n => n.getName()), ['Part_LOD1']);
+        assert.deepEqual(readLod.getScreenCoverage(), [0.5, 0]);
+        assert.deepEqual(readBase.getExtras(), { partId: 7 });
+    });
+
+    test('cuts each level from the budgeted model', async () => {
+        const document = new Document();
+        const mesh = sphere(document, 'Ball', 200);
+        const node = document.createNode('Ball').setMesh(mesh);
+        document.createScene().addChild(node);
+        assert.equal(countTriangles(mesh), 79600);
+
+        const result = await simplifyDocument(document, { maxTriangles: 20000, lodLevels: 3 });
+        assert.equal(result.sourceTriangles, 79600);
+        assert.ok(result.triangles <= 20000 && result.triangles > 15000, `level 0 has ${result.triangles} triangles`);
+        assert.equal(result.lodLevels, 3);
+
+        // Each stand-in aims for a quarter of the one before it
+        const levels = node.getExtension(MSFTLod.EXTENSION_NAME).listLevels().map(level => countTriangles(level.getMesh()));
+        assert.equal(levels.length, 2);
+        let previous = result.triangles;
+        for (const triangles of levels) {
+            assert.ok(triangles > previous * 0.2 && triangles <= previous * 0.3, `${triangles} triangles after ${previous}`);
+            previous = triangles;
+        }
+    });
+});
@@ -0,0 +1,58 @@
+// Backend/test/units.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import { promises as fsp } from 'fs';
+import { fileURLToPath } from 'url';
+import { readSourceUnit } from '../workers/cadUnits.js';
+import processCADFile from '../workers/occtWorker.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SAMPLES_DIR = path.join(__dirname, '..', 'node_modules', 'occt-import-js', 'test', 'testfiles');
+
+const readSample = (sample) => fsp.readFile(path.join(SAMPLES_DIR, sample));
+
+describe('readSourceUnit', () => {
+    // The same 1 m cube, saved with three different STEP length units
+    for (const [sample, name, metersPerUnit] of [
+        ['cube-units/cube-in.step', 'inch', 0.0254],
+        ['cube-units/cube-m.step', 'meter', 1],
+        ['cube-units/cube-mm.step', 'millimeter', 0.001]
+    ]) {
+        test(`reads ${name} from ${sample}`, async () => {
+            assert.deepEqual(readSourceUnit(await readSample(sample), 'step'), { name, metersPerUnit });
+        });
+    }
+
+    test('reads the unit flag of an IGES global section', async () => {
+        assert.deepEqual(readSourceUnit(await readSample('cube-10x10mm/Cube 10x10.igs'), 'iges'), { name: 'millimeter', metersPerUnit: 0.001 });
+    });
+
+    test('returns null when the file declares nothing', () => {
+        assert.equal(readSourceUnit(Buffer.from('ISO-10303-21;\nDATA;\nENDSEC;\n'), 'step'), null);
+        assert.equal(readSourceUnit(Buffer.from('DBRep_DrawableShape'), 'brep'), null);
+    });
+});
+
+describe('OCCT worker output units', () => {
+    test('writes an inch model in metres and records the units in the GLB extras', async () => {
+        const outPath = path.join(os.tmpdir(), `units-test-${process.pid}.glb`);
+        try {
+            const result = await processCADFile({
+                filePath: path.join(SAMPLES_DIR, 'cube-units', 'cube-in.step'),
+                outPath,
+                format: 'step',
+                options: { preservePosition: true, units: 'meter', compression: 'none', tessellation: null }
+            });
+            assert.equal(result.success, true);
+            for (const size of Object.values(result.bounds.size)) assert.ok(Math.abs(size - 1) < 1e-6, `size ${size} != 1`);
+
+            const glb = await fsp.readFile(outPath);
+            const json = JSON.parse(glb.subarray(20, 20 + glb.readUInt32LE(12)).toString('utf8'));
+            assert.deepEqual(json.extras.units, { source: 'inch', output: 'meter', metersPerUnit: 1, scale: 0.0254 });
+        } finally {
+            await fsp.unlink(outPath).catch(() => {});
+        }
+    });
+});
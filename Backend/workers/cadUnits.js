@@ -0,0 +1,153 @@
+// Backend/workers/cadUnits.js
+// Length units of CAD files. OCCT scales STEP and IGES geometry to the
+// `linearUnit` it is given (millimetres by default) but does not report what
+// the file itself used, so the unit declarations are read from the raw bytes.
+// Files can be far larger than a JS string, so nothing here decodes the whole buffer.
+
+// Output units OCCT can scale to, in metres per unit
+export const LENGTH_UNITS = {
+    millimeter: 0.001,
+    centimeter: 0.01,
+    meter: 1,
+    inch: 0.0254,
+    foot: 0.3048
+};
+
+// SI_UNIT(prefix, .METRE.) -> unit
+const SI_LENGTH_UNITS = {
+    '$': { name: 'meter', metersPerUnit: 1 },
+    '.KILO.': { name: 'kilometer', metersPerUnit: 1000 },
+    '.DECI.': { name: 'decimeter', metersPerUnit: 0.1 },
+    '.CENTI.': { name: 'centimeter', metersPerUnit: 0.01 },
+    '.MILLI.': { name: 'millimeter', metersPerUnit: 0.001 },
+    '.MICRO.': { name: 'micrometer', metersPerUnit: 1e-6 }
+};
+
+// IGES global section parameter 14 (unit flag) -> unit; flag 3 names it in parameter 15
+const IGES_UNIT_FLAGS = {
+    1: { name: 'inch', metersPerUnit: 0.0254 },
+    2: { name: 'millimeter', metersPerUnit: 0.001 },
+    4: { name: 'foot', metersPerUnit: 0.3048 },
+    5: { name: 'mile', metersPerUnit: 1609.344 },
+    6: { name: 'meter', metersPerUnit: 1 },
+    7: { name: 'kilometer', metersPerUnit: 1000 },
+    8: { name: 'mil', metersPerUnit: 0.0000254 },
+    9: { name: 'micrometer', metersPerUnit: 1e-6 },
+    10: { name: 'centimeter', metersPerUnit: 0.01 },
+    11: { name: 'microinch', metersPerUnit: 0.0000000254 }
+};
+const IGES_UNIT_NAMES = { IN: 1, INCH: 1, MM: 2, FT: 4, MI: 5, M: 6, KM: 7, MIL: 8, UM: 9, CM: 10, UIN: 11 };
+
+const MAX_ENTITY_BYTES = 4096;
+
+/**
+ * Text of STEP entity #id (up to its closing ';'), or null. Searching for
+ * "#id=" / "#id =" only finds the definition, never a reference to it.
+ */
+function readStepEntity(buffer, id) {
+    for (const tag of [`#${id}=`, `#${id} =`]) {
+        const at = buffer.indexOf(tag);
+        if (at === -1) continue;
+        const end = buffer.indexOf(';', at);
+        return buffer.toString('latin1', at, end === -1 ? Math.min(buffer.length, at + MAX_ENTITY_BYTES) : end);
+    }
+    return null;
+}
+
+/**
+ * Resolve a STEP LENGTH_UNIT entity to { name, metersPerUnit }
+ */
+function resolveStepLengthUnit(buffer, id, depth = 0) {
+    const entity = readStepEntity(buffer, id);
+    if (!entity || depth > 4) return null;
+
+    const si = entity.match(/SI_UNIT\s*\(\s*(\$|\.\w+\.)\s*,\s*\.METRE\.\s*\)/);
+    if (si) return SI_LENGTH_UNITS[si[1]] || null;
+
+    // e.g. CONVERSION_BASED_UNIT('INCH',#22) with #22 = LENGTH_MEASURE_WITH_UNIT(25.4,#23) and #23 in mm
+    const converted = entity.match(/CONVERSION_BASED_UNIT\s*\(\s*'([^']*)'\s*,\s*#(\d+)/);
+    if (!converted) return null;
+    const measure = readStepEntity(buffer, converted[2])?.match(/\(\s*(?:LENGTH_MEASURE\s*\(\s*)?([-+\d.Ee]+)\s*\)?\s*,\s*#(\d+)/);
+    const base = measure && resolveStepLengthUnit(buffer, measure[2], depth + 1);
+    if (!base) return null;
+    const name = converted[1].toLowerCase();
+    // Prefer the exact factor for units we know over 25.4 * 0.001 in floating point
+    return { name, metersPerUnit: LENGTH_UNITS[name] ?? Number(measure[1]) * base.metersPerUnit };
+}
+
+/**
+ * Length unit of the first representation context in a STEP file
+ */
+function readStepUnit(buffer) {
+    const at = buffer.indexOf('GLOBAL_UNIT_ASSIGNED_CONTEXT');
+    if (at === -1) return null;
+    const units = buffer.toString('latin1', at, Math.min(buffer.length, at + MAX_ENTITY_BYTES)).match(/\(\s*\(([^)]*)\)/);
+    if (!units) return null;
+
+    for (const [, id] of units[1].matchAll(/#(\d+)/g)) {
+        if (/\bLENGTH_UNIT\s*\(\s*\)/.test(readStepEntity(buffer, id) || '')) return resolveStepLengthUnit(buffer, id);
+    }
+    return null;
+}
+
+/**
+ * Parameters of the IGES global section. Strings are Hollerith constants (nHtext),
+ * and the first two parameters may redefine the parameter and record delimiters.
+ */
+function parseIgesGlobalSection(text) {
+    let delimiter = ',';
+    let recordEnd = ';';
+    const values = [];
+    let i = 0;
+
+    while (i < text.length && values.length < 26) {
+        const hollerith = text.slice(i).match(/^\s*(\d+)H/);
+        let value;
+        if (hollerith) {
+            const start = i + hollerith[0].length;
+            value = text.slice(start, start + Number(hollerith[1]));
+            i = start + value.length;
+        } else {
+            let end = i;
+            while (end < text.length && text[end] !== delimiter && text[end] !== recordEnd) end++;
+            value = text.slice(i, end).trim();
+            i = end;
+        }
+        values.push(value);
+        if (values.length === 1 && value.length === 1) delimiter = value;
+        if (values.length === 2 && value.length === 1) recordEnd = value;
+
+        if (text[i] === recordEnd) break;
+        i++; // past the delimiter
+    }
+    return values;
+}
+
+/**
+ * Length unit from the IGES global section (parameters 14 and 15)
+ */
+function readIgesUnit(buffer) {
+    // Global lines have 'G' in column 73 and come right after the short Start section
+    const head = buffer.toString('latin1', 0, Math.min(buffer.length, 64 * 1024));
+    const global = head.split(/\r?\n/).filter(line => line.charAt(72) === 'G').map(line => line.slice(0, 72)).join('');
+    if (!global) return null;
+
+    const params = parseIgesGlobalSection(global);
+    const flag = Number(params[13]);
+    if (flag === 3) return IGES_UNIT_FLAGS[IGES_UNIT_NAMES[params[14]?.trim().toUpperCase()]] || null;
+    return IGES_UNIT_FLAGS[flag] || null;
+}
+
+/**
+ * Length unit a CAD file declares, as { name, metersPerUnit }, or null when it
+ * declares none we understand. BREP files carry no units at all.
+ */
+export function readSourceUnit(buffer, format) {
+    try {
+        if (format === 'step') return readStepUnit(buffer);
+        if (format === 'iges') return readIgesUnit(buffer);
+    } catch {
+        // Malformed header: the unit is just unknown, OCCT decides whether the file is usable
+    }
+    return null;
+}
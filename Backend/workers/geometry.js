@@ -0,0 +1,302 @@
+// Backend/workers/geometry.js
+// Mesh processing and GLB writing shared by the OCCT worker, the server and the CLI.
+// A mesh is { name, positions, normals, indices, color, faces }: positions and
+// normals are flat xyz Float32Arrays, indices a Uint32Array or null (unindexed
+// triangles), color an [r, g, b] in 0-1 and faces the OCCT B-rep face ranges.
+
+/**
+ * Axis-aligned bounds of all meshes together: { min, max, center, size }
+ */
+export function getModelBounds(meshes) {
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+    meshes.forEach(mesh => {
+        const pos = mesh.positions;
+        for (let i = 0; i < pos.length; i += 3) {
+            const x = pos[i], y = pos[i+1], z = pos[i+2];
+            if (x < minX) minX = x; if (x > maxX) maxX = x;
+            if (y < minY) minY = y; if (y > maxY) maxY = y;
+            if (z < minZ) minZ = z; if (z > maxZ) maxZ = z;
+        }
+    });
+
+    return {
+        min: { x: minX, y: minY, z: minZ },
+        max: { x: maxX, y: maxY, z: maxZ },
+        center: { x: (minX + maxX) / 2, y: (minY + maxY) / 2, z: (minZ + maxZ) / 2 },
+        size: { x: maxX - minX, y: maxY - minY, z: maxZ - minZ }
+    };
+}
+
+/**
+ * Reposition meshes in place: rotate Z-up to Y-up, then center or ground them.
+ * Only positions and existing normals change; returns the same array.
+ */
+export function processGeometry(meshes, options = {}) {
+    const { preservePosition = true, centerModel = false, groundModel = false, rotateToYUp = false } = options;
+
+    if (preservePosition && !rotateToYUp) return meshes;
+
+    const bounds = getModelBounds(meshes);
+
+    meshes.forEach(mesh => {
+        const pos = mesh.positions;
+        const norm = mesh.normals;
+
+        for (let i = 0; i < pos.length; i += 3) {
+            let x = pos[i], y = pos[i + 1], z = pos[i + 2];
+
+            if (rotateToYUp) {
+                const tempY = y;
+                y = z;
+                z = -tempY;
+            }
+
+            if (centerModel) {
+                x -= bounds.center.x;
+                if (rotateToYUp) {
+                    y -= bounds.center.z;
+                    z -= -bounds.center.y;
+                } else {
+                    y -= bounds.center.y;
+                    z -= bounds.center.z;
+                }
+            }
+
+            if (groundModel && !centerModel) {
+                if (rotateToYUp) {
+                    y -= bounds.min.z;
+                } else {
+                    y -= bounds.min.y;
+                }
+            }
+
+            pos[i] = x; pos[i + 1] = y; pos[i + 2] = z;
+        }
+
+        if (rotateToYUp && norm) {
+            for (let i = 0; i < norm.length; i += 3) {
+                const tempY = norm[i + 1];
+                norm[i + 1] = norm[i + 2];
+                norm[i + 2] = -tempY;
+            }
+        }
+    });
+
+    return meshes;
+}
+
+/**
+ * Smooth vertex normals: each vertex gets the normalized sum of its triangles'
+ * area-weighted face normals. Without indices every 9 floats are one triangle.
+ */
+export function computeNormals(positions, indices) {
+    const normals = new Float32Array(positions.length).fill(0);
+    
+    if (indices && indices.length > 0) {
+        for (let i = 0; i < indices.length; i += 3) {
+            const i0 = indices[i] * 3, i1 = indices[i+1] * 3, i2 = indices[i+2] * 3;
+            const ux = positions[i1] - positions[i0], uy = positions[i1+1] - positions[i0+1], uz = positions[i1+2] - positions[i0+2];
+            const vx = positions[i2] - positions[i0], vy = positions[i2+1] - positions[i0+1], vz = positions[i2+2] - positions[i0+2];
+            
+            const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+
+            normals[i0] += nx; normals[i0+1] += ny; normals[i0+2] += nz;
+            normals[i1] += nx; normals[i1+1] += ny; normals[i1+2] += nz;
+            normals[i2] += nx; normals[i2+1] += ny; normals[i2+2] += nz;
+        }
+    } else {
+        for (let i = 0; i < positions.length; i += 9) {
+            const ux = positions[i+3] - positions[i], uy = positions[i+4] - positions[i+1], uz = positions[i+5] - positions[i+2];
+            const vx = positions[i+6] - positions[i], vy = positions[i+7] - positions[i+1], vz = positions[i+8] - positions[i+2];
+            
+            const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+
+            for (let j = 0; j < 3; j++) {
+                normals[i+j*3] += nx; normals[i+j*3+1] += ny; normals[i+j*3+2] += nz;
+            }
+        }
+    }
+
+    for (let i = 0; i < normals.length; i += 3) {
+        const l = Math.sqrt(normals[i]**2 + normals[i+1]**2 + normals[i+2]**2) || 1;
+        normals[i] /= l; normals[i+1] /= l; normals[i+2] /= l;
+    }
+    return normals;
+}
+
+function colorToHex(color) {
+    return color.map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+// Split a mesh's triangles by the colors of its B-rep faces. Faces without their own
+// color (or painted the same as the part) stay with the mesh color, which is `null` here.
+function groupFacesByColor(mesh) {
+    const { indices, faces, color } = mesh;
+    const baseHex = color ? colorToHex(color) : null;
+    const faceHex = (face) => face.color ? colorToHex(face.color) : baseHex;
+
+    if (!indices || !faces?.some(face => faceHex(face) !== baseHex)) {
+        return [{ color: null, indices }];
+    }
+
+    const groups = new Map();
+    for (const face of faces) {
+        const hex = faceHex(face);
+        if (!groups.has(hex)) groups.set(hex, { color: hex === baseHex ? null : face.color, ranges: [] });
+        groups.get(hex).ranges.push(indices.subarray(face.first * 3, (face.last + 1) * 3));
+    }
+
+    return [...groups.values()].map(({ color, ranges }) => {
+        const merged = new Uint32Array(ranges.reduce((n, r) => n + r.length, 0));
+        let offset = 0;
+        for (const r of ranges) {
+            merged.set(r, offset);
+            offset += r.length;
+        }
+        return { color, indices: merged };
+    });
+}
+
+// Pack meshes into a binary glTF 2.0 file (Buffer). Needs normals on every mesh.
+// hierarchy: the OCCT `root` node ({ name, meshes, children }). Without it every
+// mesh is placed flat under a single "Root" node.
+export function createGLB(meshes, modelBounds = null, extras = {}, hierarchy = null) {
+    let bufferSize = 0;
+    const binChunks = [];
+    const gltf = { 
+        asset: { version: "2.0", generator: "STEP-Converter" }, 
+        scenes: [{ nodes: [0] }],
+        scene: 0,
+        nodes: [], 
+        meshes: [], 
+        materials: [], 
+        accessors: [], 
+        bufferViews: [], 
+        buffers: [],
+        extras: modelBounds ? { originalBounds: modelBounds, ...extras } : extras
+    };
+
+    const addBuffer = (data, target) => {
+        // Views (e.g. face ranges) must not drag in the rest of their ArrayBuffer
+        const buf = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        const pad = (4 - (buf.length % 4)) % 4;
+        const padded = pad ? Buffer.concat([buf, Buffer.alloc(pad)]) : buf;
+        binChunks.push(padded);
+        gltf.bufferViews.push({ buffer: 0, byteOffset: bufferSize, byteLength: buf.length, target });
+        bufferSize += padded.length;
+        return gltf.bufferViews.length - 1;
+    };
+
+    const addMaterial = (name, color) => gltf.materials.push({
+        name,
+        pbrMetallicRoughness: { 
+            baseColorFactor: [...(color || [0.6, 0.6, 0.6]), 1], 
+            metallicFactor: 0.2, 
+            roughnessFactor: 0.6 
+        },
+        doubleSided: true
+    }) - 1;
+
+    // Painted faces share one material per distinct color across the whole model
+    const faceMaterials = new Map();
+    const faceMaterialFor = (color) => {
+        const hex = colorToHex(color);
+        if (!faceMaterials.has(hex)) faceMaterials.set(hex, addMaterial(`Face_${hex}`, color));
+        return faceMaterials.get(hex);
+    };
+
+    const meshNodes = []; // glTF node index for each mesh
+
+    meshes.forEach((m, i) => {
+        let baseMaterial; // only created when some triangles keep the part color
+
+        const posView = addBuffer(m.positions, 34962);
+        const normView = addBuffer(m.normals, 34962);
+
+        let min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        for(let k = 0; k < m.positions.length; k += 3) {
+            min[0] = Math.min(min[0], m.positions[k]); 
+            min[1] = Math.min(min[1], m.positions[k+1]); 
+            min[2] = Math.min(min[2], m.positions[k+2]);
+            max[0] = Math.max(max[0], m.positions[k]); 
+            max[1] = Math.max(max[1], m.positions[k+1]); 
+            max[2] = Math.max(max[2], m.positions[k+2]);
+        }
+
+        const posAcc = gltf.accessors.push({ bufferView: posView, componentType: 5126, count: m.positions.length/3, type: "VEC3", min, max }) - 1;
+        const normAcc = gltf.accessors.push({ bufferView: normView, componentType: 5126, count: m.normals.length/3, type: "VEC3" }) - 1;
+        const addIndices = (indices) => gltf.accessors.push({ bufferView: addBuffer(indices, 34963), componentType: 5125, count: indices.length, type: "SCALAR" }) - 1;
+
+        // One primitive per face color, all sharing the mesh's vertex data
+        const primitives = groupFacesByColor(m).map(({ color, indices }) => ({
+            attributes: { POSITION: posAcc, NORMAL: normAcc },
+            indices: indices ? addIndices(indices) : undefined,
+            material: color ? faceMaterialFor(color) : (baseMaterial ??= addMaterial(m.name, m.color))
+        }));
+
+        gltf.meshes.push({ name: m.name, primitives });
+        meshNodes.push(gltf.nodes.push({ mesh: i, name: m.name }) - 1);
+    });
+
+    // A glTF node can only have one parent, so a mesh referenced twice gets an extra node
+    const usedMeshes = new Set();
+    const meshNodeFor = (meshIndex) => {
+        if (!usedMeshes.has(meshIndex)) {
+            usedMeshes.add(meshIndex);
+            return meshNodes[meshIndex];
+        }
+        return gltf.nodes.push({ mesh: meshIndex, name: meshes[meshIndex].name }) - 1;
+    };
+
+    // Mirror the assembly tree: sub-assemblies and parts become nested nodes
+    const addAssemblyNode = (occtNode, fallbackName) => {
+        const node = { name: occtNode.name || fallbackName, children: [] };
+        const nodeIndex = gltf.nodes.push(node) - 1;
+
+        for (const meshIndex of occtNode.meshes || []) {
+            if (meshes[meshIndex]) node.children.push(meshNodeFor(meshIndex));
+        }
+        (occtNode.children || []).forEach((child, i) => {
+            node.children.push(addAssemblyNode(child, `${node.name}_${i + 1}`));
+        });
+
+        if (node.children.length === 0) delete node.children;
+        return nodeIndex;
+    };
+
+    let rootIndex;
+    if (hierarchy) {
+        rootIndex = addAssemblyNode(hierarchy, "Root");
+        const root = gltf.nodes[rootIndex];
+
+        // Keep any mesh the tree did not reference
+        const orphans = meshNodes.filter((_, i) => !usedMeshes.has(i));
+        if (orphans.length) root.children = [...(root.children || []), ...orphans];
+    } else {
+        rootIndex = gltf.nodes.push({ name: "Root", children: meshNodes }) - 1;
+    }
+
+    gltf.scenes[0].nodes = [rootIndex];
+    gltf.buffers.push({ byteLength: bufferSize });
+    
+    const json = Buffer.from(JSON.stringify(gltf));
+    const jsonPad = (4 - (json.length % 4)) % 4;
+    const bin = Buffer.concat(binChunks);
+    
+    const total = 12 + 8 + json.length + jsonPad + 8 + bin.length;
+    const head = Buffer.alloc(12); 
+    head.writeUInt32LE(0x46546C67, 0); 
+    head.writeUInt32LE(2, 4); 
+    head.writeUInt32LE(total, 8);
+    
+    const jHead = Buffer.alloc(8); 
+    jHead.writeUInt32LE(json.length + jsonPad, 0); 
+    jHead.writeUInt32LE(0x4E4F534A, 4);
+    const bHead = Buffer.alloc(8); 
+    bHead.writeUInt32LE(bin.length, 0); 
+    bHead.writeUInt32LE(0x004E4942, 4);
+
+    return Buffer.concat([head, jHead, json, Buffer.alloc(jsonPad, 0x20), bHead, bin]);
+}
@@ -0,0 +1,52 @@
+// Backend/workers/glbCompression.js
+import { Logger, NodeIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
+import { MeshoptDecoder, MeshoptEncoder } from 'meshoptimizer';
+import { MSFTLod } from './msftLod.js';
+
+// Geometry compression applied to the GLBs we serve:
+//   none     - float32 positions/normals and uint32 indices, as written
+//   quantize - KHR_mesh_quantization: smaller integer attributes, no decoder needed
+//   meshopt  - EXT_meshopt_compression on top of quantization; needs the meshopt decoder
+export const COMPRESSION_MODES = ['none', 'quantize', 'meshopt'];
+
+// Every extension we may read or produce: gltf-transform's own plus MSFT_lod levels of detail
+export const EXTENSIONS = [...ALL_EXTENSIONS, MSFTLod];
+
+// Shared reader/writer that understands all of them
+export const io = new NodeIO()
+    .registerExtensions(EXTENSIONS)
+    .registerDependencies({
+        'meshopt.decoder': MeshoptDecoder,
+        'meshopt.encoder': MeshoptEncoder
+    })
+    .setLogger(new Logger(Logger.Verbosity.WARN));
+
+/**
+ * Compress the geometry of a gltf-transform Document in place
+ */
+export async function compressDocument(document, mode = 'none') {
+    if (mode === 'none') return document;
+    if (!COMPRESSION_MODES.includes(mode)) throw new Error(`Unknown compression mode: ${mode}`);
+
+    // Loaded on demand: it pulls in sharp, which uncompressed output never needs
+    const { meshopt, quantize } = await import('@gltf-transform/functions');
+
+    if (mode === 'quantize') {
+        await document.transform(quantize());
+    } else {
+        await MeshoptEncoder.ready;
+        await document.transform(meshopt({ encoder: MeshoptEncoder, level: 'medium' }));
+    }
+    return document;
+}
+
+/**
+ * Compress a GLB buffer; returns the input untouched for mode "none"
+ */
+export async function compressGLB(glb, mode = 'none') {
+    if (mode === 'none') return glb;
+    const document = await io.readBinary(new Uint8Array(glb.buffer, glb.byteOffset, glb.byteLength));
+    await compressDocument(document, mode);
+    return Buffer.from(await io.writeBinary(document));
+}
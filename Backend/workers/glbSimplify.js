@@ -0,0 +1,130 @@
+// Backend/workers/glbSimplify.js
+// Triangle budgets and levels of detail for the GLBs we serve. Meshes are
+// decimated with meshoptimizer's simplifier; coarser levels are written as
+// MSFT_lod stand-ins, each aiming for a quarter of the triangles of the one before.
+import { Primitive } from '@gltf-transform/core';
+import { MeshoptSimplifier } from 'meshoptimizer';
+import { io } from './glbCompression.js';
+import { MSFTLod } from './msftLod.js';
+
+export const MAX_LOD_LEVELS = 4;
+
+const LOD_RATIO = 0.25;
+// A level that keeps more than this share of the previous one's triangles is not worth writing
+const MIN_REDUCTION = 0.9;
+// Simplifier error limit, as a fraction of the mesh radius. A budget is a hard
+// limit, so it may cost accuracy; LOD levels are only seen from further away.
+const BUDGET_ERROR = 1;
+const LOD_ERROR = 0.05;
+
+function countTriangles(prim) {
+    const indices = prim.getIndices();
+    const count = indices ? indices.getCount() : prim.getAttribute('POSITION')?.getCount() ?? 0;
+    return prim.getMode() === Primitive.Mode.TRIANGLES ? Math.floor(count / 3) : 0;
+}
+
+const countMeshTriangles = (mesh) => mesh.listPrimitives().reduce((sum, prim) => sum + countTriangles(prim), 0);
+
+// Share of the screen height at which each of `count` levels takes over; the last never drops out
+const screenCoverage = (count) => Array.from({ length: count }, (_, i) => (i === count - 1 ? 0 : 0.5 ** (i + 1)));
+
+/**
+ * Simplify a mesh's triangle primitives in place, dropping any that vanish
+ */
+function simplifyMesh(document, mesh, simplifyPrimitive, options) {
+    for (const prim of mesh.listPrimitives()) {
+        if (prim.getMode() !== Primitive.Mode.TRIANGLES) continue;
+        simplifyPrimitive(document, prim, { simplifier: MeshoptSimplifier, ...options });
+        if (countTriangles(prim) === 0) prim.dispose();
+    }
+}
+
+/**
+ * A simplified copy of a mesh. The source primitives and their accessors are left alone.
+ */
+function createLodMesh(document, mesh, level, simplifyPrimitive, options) {
+    const lodMesh = document.createMesh(`${mesh.getName() || 'Mesh'}_LOD${level}`);
+    for (const prim of mesh.listPrimitives()) {
+        if (prim.getMode() === Primitive.Mode.TRIANGLES) lodMesh.addPrimitive(prim.clone());
+    }
+    simplifyMesh(document, lodMesh, simplifyPrimitive, options);
+    return lodMesh;
+}
+
+/**
+ * Cut a Document down to a triangle budget and/or add MSFT_lod levels, in place.
+ * The budget applies to the model itself (level 0); each further level aims for
+ * LOD_RATIO of the triangles of the one before.
+ * Returns { sourceTriangles, triangles, lodLevels } (triangles of level 0, levels written).
+ */
+export async function simplifyDocument(document, { maxTriangles = null, lodLevels = 1 } = {}) {
+    const root = document.getRoot();
+    const sourceTriangles = root.listMeshes().reduce((sum, mesh) => sum + countMeshTriangles(mesh), 0);
+    const ratio = maxTriangles && sourceTriangles > maxTriangles ? maxTriangles / sourceTriangles : 1;
+    if (ratio === 1 && lodLevels <= 1) return { sourceTriangles, triangles: sourceTriangles, lodLevels: 1 };
+
+    // Loaded on demand: it pulls in sharp, which unsimplified output never needs
+    const { weld, simplifyPrimitive } = await import('@gltf-transform/functions');
+    await MeshoptSimplifier.ready;
+
+    // The simplifier needs indexed geometry, and split vertices limit how far it gets
+    await document.transform(weld());
+
+    if (ratio < 1) {
+        for (const mesh of root.listMeshes()) {
+            simplifyMesh(document, mesh, simplifyPrimitive, { ratio, error: BUDGET_ERROR });
+            if (!mesh.listPrimitives().length) mesh.dispose();
+        }
+    }
+    const triangles = root.listMeshes().reduce((sum, mesh) => sum + countMeshTriangles(mesh), 0);
+
+    // Coarser stand-ins per mesh, shared by every node that uses the mesh
+    const lodMeshes = new Map();
+    for (const mesh of lodLevels > 1 ? root.listMeshes() : []) {
+        const levels = [];
+        let previous = countMeshTriangles(mesh);
+        for (let level = 1; level < lodLevels; level++) {
+            // Cut from level 0 as it is now, so a budget is not applied twice
+            const lodMesh = createLodMesh(document, mesh, level, simplifyPrimitive, { ratio: LOD_RATIO ** level, error: LOD_ERROR });
+            const count = countMeshTriangles(lodMesh);
+            if (!count || count > previous * MIN_REDUCTION) {
+                lodMesh.listPrimitives().forEach(prim => prim.dispose());
+                lodMesh.dispose();
+                break;
+            }
+            levels.push(lodMesh);
+            previous = count;
+        }
+        if (levels.length) lodMeshes.set(mesh, levels);
+    }
+
+    let levelsWritten = 1;
+    if (lodMeshes.size) {
+        const lodExtension = document.createExtension(MSFTLod);
+        for (const node of root.listNodes()) {
+            const levels = lodMeshes.get(node.getMesh());
+            if (!levels) continue;
+
+            // Stand-in nodes stay out of the scene; the extension is what keeps them
+            const lod = lodExtension.createLod().setScreenCoverage(screenCoverage(levels.length + 1));
+            levels.forEach((lodMesh, i) => lod.addLevel(document.createNode(`${node.getName() || 'Node'}_LOD${i + 1}`)
+                .setMesh(lodMesh)
+                .setTranslation(node.getTranslation())
+                .setRotation(node.getRotation())
+                .setScale(node.getScale())));
+            node.setExtension(MSFTLod.EXTENSION_NAME, lod);
+            levelsWritten = Math.max(levelsWritten, levels.length + 1);
+        }
+    }
+
+    return { sourceTriangles, triangles, lodLevels: levelsWritten };
+}
+
+/**
+ * Simplify a GLB buffer. Resolves with { glb, simplification }.
+ */
+export async function simplifyGLB(glb, options) {
+    const document = await io.readBinary(new Uint8Array(glb.buffer, glb.byteOffset, glb.byteLength));
+    const simplification = await simplifyDocument(document, options);
+    return { glb: Buffer.from(await io.writeBinary(document)), simplification };
+}
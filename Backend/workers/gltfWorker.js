@@ -0,0 +1,205 @@
+// Backend/workers/gltfWorker.js
+import { promises as fsp } from 'fs';
+import { io, compressDocument, EXTENSIONS } from './glbCompression.js';
+import { simplifyDocument } from './glbSimplify.js';
+
+const SUPPORTED_EXTENSIONS = new Set(EXTENSIONS.map(ext => ext.EXTENSION_NAME));
+
+const GLB_MAGIC = 0x46546C67; // "glTF"
+
+// Primitive modes from the glTF spec
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+async function hasGLBHeader(filePath) {
+    const handle = await fsp.open(filePath, 'r');
+    try {
+        const { bytesRead, buffer } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+        return bytesRead === 4 && buffer.readUInt32LE(0) === GLB_MAGIC;
+    } finally {
+        await handle.close();
+    }
+}
+
+function countTriangles(mode, count) {
+    if (mode === MODE_TRIANGLES) return Math.floor(count / 3);
+    if (mode === MODE_TRIANGLE_STRIP || mode === MODE_TRIANGLE_FAN) return Math.max(count - 2, 0);
+    return 0;
+}
+
+/**
+ * Check the raw JSON for problems gltf-transform would silently skip over
+ */
+function validateJSON(json, errors, warnings) {
+    if (!json.asset?.version?.startsWith('2.')) {
+        errors.push(`Unsupported glTF version "${json.asset?.version ?? 'missing'}" (expected 2.x)`);
+    }
+
+    for (const name of json.extensionsRequired || []) {
+        if (!SUPPORTED_EXTENSIONS.has(name)) errors.push(`Required extension ${name} is not supported`);
+    }
+    for (const name of json.extensionsUsed || []) {
+        if (!SUPPORTED_EXTENSIONS.has(name) && !(json.extensionsRequired || []).includes(name)) {
+            warnings.push(`Extension ${name} is not supported and will be dropped`);
+        }
+    }
+}
+
+/**
+ * Walk the parsed document: geometry sanity checks plus the stats sent to the client
+ */
+function validateDocument(document, errors, warnings) {
+    const root = document.getRoot();
+    const stats = {
+        scenes: root.listScenes().length,
+        nodes: root.listNodes().length,
+        meshes: root.listMeshes().length,
+        primitives: 0,
+        vertices: 0,
+        triangles: 0,
+        materials: root.listMaterials().length,
+        textures: root.listTextures().length,
+        animations: root.listAnimations().length
+    };
+
+    if (stats.meshes === 0) errors.push('The file contains no meshes');
+    if (stats.scenes === 0) warnings.push('The file defines no scene');
+
+    root.listMeshes().forEach((mesh, meshIndex) => {
+        const meshName = mesh.getName() || `#${meshIndex}`;
+
+        for (const prim of mesh.listPrimitives()) {
+            stats.primitives++;
+
+            const position = prim.getAttribute('POSITION');
+            if (!position) {
+                errors.push(`Mesh ${meshName} has a primitive without POSITION`);
+                continue;
+            }
+
+            const vertexCount = position.getCount();
+            stats.vertices += vertexCount;
+
+            const positions = position.getArray();
+            if (positions && !positions.every(Number.isFinite)) {
+                errors.push(`Mesh ${meshName} has non-finite vertex positions`);
+            }
+
+            const indices = prim.getIndices();
+            if (indices) {
+                const array = indices.getArray();
+                let maxIndex = 0;
+                for (let i = 0; i < array.length; i++) {
+                    if (array[i] > maxIndex) maxIndex = array[i];
+                }
+                if (array.length && maxIndex >= vertexCount) {
+                    errors.push(`Mesh ${meshName} references vertex ${maxIndex} but has only ${vertexCount}`);
+                }
+            }
+
+            stats.triangles += countTriangles(prim.getMode(), indices ? indices.getCount() : vertexCount);
+
+            if (!prim.getAttribute('NORMAL')) {
+                warnings.push(`Mesh ${meshName} has no normals; the viewer will compute them`);
+            }
+        }
+    });
+
+    return stats;
+}
+
+// Main worker function (Piscina task).
+// Never throws for a bad model: the validation report explains what is wrong.
+// Progress and phase timings go over `port`, as in the OCCT worker.
+export default async function processGLTFFile({ filePath, outPath, format = 'glb', optimize = false, simplify = null, compression = 'none', port }) {
+    const report = (phase, percent) => port?.postMessage({ type: 'progress', phase, percent });
+    const timed = async (phase, fn) => {
+        const start = performance.now();
+        try {
+            return await fn();
+        } finally {
+            port?.postMessage({ type: 'timing', phase, ms: Math.round(performance.now() - start) });
+        }
+    };
+
+    try {
+        report('reading', 10);
+
+        const errors = [];
+        const warnings = [];
+        const sizeBefore = (await fsp.stat(filePath)).size;
+
+        let document;
+        try {
+            if (format === 'glb' && !(await hasGLBHeader(filePath))) {
+                throw new Error('Not a GLB file (missing glTF header)');
+            }
+            const jsonDoc = await timed('read', () => io.readAsJSON(filePath));
+            validateJSON(jsonDoc.json, errors, warnings);
+            if (errors.length === 0) document = await timed('parse', () => io.readJSON(jsonDoc));
+        } catch (e) {
+            // A .gltf upload arrives alone, so external .bin files and textures are missing
+            errors.push(e.code === 'ENOENT'
+                ? 'The file references external resources; upload a .glb or a .gltf with embedded data'
+                : `Could not parse file: ${e.message}`);
+        }
+
+        report('validating', 40);
+
+        const stats = document ? await timed('validate', () => validateDocument(document, errors, warnings)) : null;
+        const validation = {
+            valid: errors.length === 0,
+            errors,
+            warnings,
+            stats,
+            extensionsUsed: document ? document.getRoot().listExtensionsUsed().map(ext => ext.extensionName) : []
+        };
+
+        if (!validation.valid) return { success: false, validation };
+
+        if (optimize) {
+            report('optimizing', 60);
+            // Loaded on demand: it pulls in sharp, which validation alone never needs
+            const { dedup, weld, prune, quantize } = await import('@gltf-transform/functions');
+            await timed('optimize', async () => {
+                await document.transform(dedup(), weld(), prune());
+                // Any compression mode quantizes below
+                if (compression === 'none') await document.transform(quantize());
+            });
+        }
+
+        let simplification = null;
+        if (simplify) {
+            report('simplifying', 70);
+            simplification = await timed('simplify', () => simplifyDocument(document, simplify));
+        }
+
+        if (compression !== 'none') {
+            report('compressing', 75);
+            await timed('compress', () => compressDocument(document, compression));
+        }
+
+        report('creating_glb', 85);
+
+        // Always write a self-contained GLB, so .gltf uploads are served with the right type
+        const glb = await timed('createGLB', () => io.writeBinary(document));
+        await timed('write', () => fsp.writeFile(outPath, glb));
+
+        report('complete', 100);
+
+        return {
+            success: true,
+            validation,
+            optimization: {
+                applied: optimize,
+                sizeBefore,
+                sizeAfter: glb.byteLength
+            },
+            simplification,
+            size: glb.byteLength
+        };
+    } finally {
+        port?.close();
+    }
+}
@@ -0,0 +1,82 @@
+// Backend/workers/msftLod.js
+// MSFT_lod for gltf-transform, which has no built-in support for it.
+// A node lists coarser stand-ins for itself in extensions.MSFT_lod.ids (finest
+// first) and, in extras.MSFT_screencoverage, the share of the screen height
+// each level should cover before the viewer switches to it.
+// Spec: https://github.com/KhronosGroup/glTF/tree/main/extensions/2.0/Vendor/MSFT_lod
+import { Extension, ExtensionProperty, PropertyType } from '@gltf-transform/core';
+
+const NAME = 'MSFT_lod';
+const SCREEN_COVERAGE = 'MSFT_screencoverage';
+
+/**
+ * Levels of detail of one node: the nodes standing in for it, finest first
+ */
+export class Lod extends ExtensionProperty {
+    init() {
+        this.extensionName = NAME;
+        this.propertyType = 'Lod';
+        this.parentTypes = [PropertyType.NODE];
+    }
+
+    getDefaults() {
+        return Object.assign(super.getDefaults(), { levels: [], screenCoverage: [] });
+    }
+
+    addLevel(node) { return this.addRef('levels', node); }
+    removeLevel(node) { return this.removeRef('levels', node); }
+    listLevels() { return this.listRefs('levels'); }
+
+    /** One value per level, the node's own mesh included */
+    getScreenCoverage() { return this.get('screenCoverage'); }
+    setScreenCoverage(coverage) { return this.set('screenCoverage', coverage); }
+}
+Lod.EXTENSION_NAME = NAME;
+
+export class MSFTLod extends Extension {
+    constructor(...args) {
+        super(...args);
+        this.extensionName = NAME;
+    }
+
+    createLod() {
+        return new Lod(this.document.getGraph());
+    }
+
+    read(context) {
+        (context.jsonDoc.json.nodes || []).forEach((nodeDef, index) => {
+            const ids = nodeDef.extensions?.[NAME]?.ids;
+            if (!ids) return;
+
+            const node = context.nodes[index];
+            const lod = this.createLod();
+            ids.forEach(id => lod.addLevel(context.nodes[id]));
+
+            // Kept on the extension from here on, written back in write()
+            const { [SCREEN_COVERAGE]: coverage, ...extras } = node.getExtras();
+            if (Array.isArray(coverage)) {
+                lod.setScreenCoverage(coverage);
+                node.setExtras(extras);
+            }
+            node.setExtension(NAME, lod);
+        });
+        return this;
+    }
+
+    write(context) {
+        const { json } = context.jsonDoc;
+        for (const node of this.document.getRoot().listNodes()) {
+            const lod = node.getExtension(NAME);
+            if (!lod) continue;
+
+            const nodeDef = json.nodes[context.nodeIndexMap.get(node)];
+            nodeDef.extensions = nodeDef.extensions || {};
+            nodeDef.extensions[NAME] = { ids: lod.listLevels().map(level => context.nodeIndexMap.get(level)) };
+            if (lod.getScreenCoverage().length) {
+                nodeDef.extras = { ...nodeDef.extras, [SCREEN_COVERAGE]: lod.getScreenCoverage() };
+            }
+        }
+        return this;
+    }
+}
+MSFTLod.EXTENSION_NAME = NAME;
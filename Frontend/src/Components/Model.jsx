@@ -3,6 +3,7 @@ import React, { useEffect, useRef, useCallback, useState } from "react";
 import { useThree, useFrame } from "@react-three/fiber";
 import { TransformControls } from "@react-three/drei";
 import * as THREE from "three";
+import { updateLodDistances } from "../msftLod";
 
 // Static bounding box material - cyan
 const createBoundingBoxMaterial = () => new THREE.LineBasicMaterial({
@@ -97,6 +98,8 @@ function Model({
     camera.updateProjectionMatrix();
 
     scene.updateMatrixWorld(true);
+    // LOD switch distances follow the fitted size
+    updateLodDistances(scene, camera);
     initialSetupDone.current = true;
 
     const ringRadius = Math.max(size.x, size.z) * 0.7;
@@ -1,12 +1,99 @@
 // Components/ModelList.jsx
-import React, { useState } from "react";
+import React, { useMemo, useState } from "react";
+
+// Groups (sub-assemblies) under an object, with the number of meshes each holds
+const buildAssemblyTree = (object) =>
+  object.children
+    .filter((child) => !child.isMesh && child.children.length > 0)
+    .map((group) => {
+      let meshCount = 0;
+      group.traverse((child) => {
+        if (child.isMesh) meshCount++;
+      });
+      return {
+        object: group,
+        name: group.name || "Assembly",
+        meshCount,
+        children: buildAssemblyTree(group),
+      };
+    })
+    .filter((node) => node.meshCount > 0);
+
+function AssemblyNode({ node, depth, modelId, onSelectAssembly }) {
+  const [expanded, setExpanded] = useState(depth < 2);
+  const hasChildren = node.children.length > 0;
+
+  return (
+    <div>
+      <div
+        className="flex items-center gap-1 py-0.5 pr-1 rounded hover:bg-gray-600/40 cursor-pointer"
+        style={{ paddingLeft: depth * 10 }}
+        onClick={(e) => {
+          e.stopPropagation();
+          onSelectAssembly?.(modelId, node.object);
+        }}
+        title={`Select ${node.name}`}
+      >
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            setExpanded(!expanded);
+          }}
+          className={`w-3 text-gray-500 ${hasChildren ? "" : "invisible"}`}
+        >
+          {expanded ? "▾" : "▸"}
+        </button>
+        <span className="text-[11px] text-gray-300 truncate flex-1">{node.name}</span>
+        <span className="text-[10px] text-gray-500">{node.meshCount}</span>
+      </div>
+      {expanded &&
+        node.children.map((child) => (
+          <AssemblyNode
+            key={child.object.uuid}
+            node={child}
+            depth={depth + 1}
+            modelId={modelId}
+            onSelectAssembly={onSelectAssembly}
+          />
+        ))}
+    </div>
+  );
+}
+
+function AssemblyTree({ modelData, onSelectAssembly }) {
+  const tree = useMemo(
+    () => (modelData.scene ? buildAssemblyTree(modelData.scene) : []),
+    [modelData.scene]
+  );
+
+  // Flat models (a single group of meshes) have nothing worth showing
+  if (!tree.some((node) => node.children.length > 0)) return null;
+
+  return (
+    <div className="mt-2 pt-2 border-t border-gray-600/40">
+      <div className="text-[10px] text-gray-500 uppercase tracking-wider mb-1">
+        Assembly
+      </div>
+      {tree.map((node) => (
+        <AssemblyNode
+          key={node.object.uuid}
+          node={node}
+          depth={0}
+          modelId={modelData.id}
+          onSelectAssembly={onSelectAssembly}
+        />
+      ))}
+    </div>
+  );
+}
 
 function ModelList({ 
   models, 
   selectedModelId, 
   onSelectModel, 
   onDeleteModel, 
-  onToggleVisibility 
+  onToggleVisibility,
+  onSelectAssembly
 }) {
   const [expandedSection, setExpandedSection] = useState(true);
 
@@ -18,6 +105,14 @@ function ModelList({
     return num.toString();
   };
 
+  // Metres to "120 × 40 × 8 mm", switching to metres for anything a metre or larger
+  const formatDimensions = (dimensions) => {
+    const inMeters = Math.max(...dimensions) >= 1;
+    const values = dimensions.map((d) => (inMeters ? d : d * 1000));
+    const digits = (v) => (v >= 100 ? 0 : v >= 10 ? 1 : 2);
+    return `${values.map((v) => Number(v.toFixed(digits(v)))).join(" × ")} ${inMeters ? "m" : "mm"}`;
+  };
+
   return (
     <div className="border-b border-gray-700/50">
       <button
@@ -107,6 +202,18 @@ function ModelList({
                   <span>📦 {modelData.stats.meshes || 0} meshes</span>
                 </div>
               )}
+
+              {/* True size, from the units recorded at conversion */}
+              {modelData.dimensions && (
+                <div className="text-[10px] text-gray-500" title="Size as modelled, before fitting to the view">
+                  📏 {formatDimensions(modelData.dimensions)}
+                </div>
+              )}
+
+              {/* Sub-assemblies of the selected model */}
+              {selectedModelId === modelData.id && (
+                <AssemblyTree modelData={modelData} onSelectAssembly={onSelectAssembly} />
+              )}
             </div>
           ))}
         </div>
@@ -3,17 +3,55 @@ import React, { useEffect, useState, useRef, useCallback } from "react";
 import { 
   checkServerHealth, 
   convertFile, 
+  convertBatch,
   cancelCurrentUpload, 
-  LOADING_PHASES 
+  LOADING_PHASES,
+  QUALITY_PRESETS,
+  COMPRESSION_MODES,
+  OUTPUT_UNITS,
+  TRIANGLE_BUDGETS,
+  LOD_LEVELS,
+  SERVER_FORMATS,
+  SERVER_MAX_FILE_SIZE
 } from "../services/converterService";
+import { isBatchArchive } from "../modelLoader";
 import MaterialsList from "./MaterialsList";
 import LightControls from "./LightControls";
 import ModelList from "./ModelList";
 import { rotate } from "three/src/nodes/TSL.js";
 
-// File size limit: 30MB
+// File size limit for formats parsed in the browser: 30MB.
+// Files for the server may be as large as it accepts (SERVER_MAX_FILE_SIZE).
 const MAX_FILE_SIZE = 30 * 1024 * 1024;
 const MAX_FILE_SIZE_MB = 30;
+const SERVER_MAX_FILE_SIZE_GB = SERVER_MAX_FILE_SIZE / (1024 * 1024 * 1024);
+
+// CAD tessellation quality options shown in the upload section
+const QUALITY_OPTIONS = [
+  { value: QUALITY_PRESETS.DRAFT, label: 'Draft', hint: 'Fast, coarse mesh' },
+  { value: QUALITY_PRESETS.NORMAL, label: 'Normal', hint: 'Balanced' },
+  { value: QUALITY_PRESETS.FINE, label: 'Fine', hint: 'Smooth curves, heavier file' }
+];
+
+// Download compression options for server-produced GLBs
+const COMPRESSION_OPTIONS = [
+  { value: COMPRESSION_MODES.NONE, label: 'None', hint: 'Raw float buffers' },
+  { value: COMPRESSION_MODES.QUANTIZE, label: 'Quantize', hint: 'Smaller, no decoder needed' },
+  { value: COMPRESSION_MODES.MESHOPT, label: 'Meshopt', hint: 'Smallest download' }
+];
+
+// Length unit of converted CAD models
+const UNIT_OPTIONS = [
+  { value: OUTPUT_UNITS.MILLIMETER, label: 'Millimetres', hint: 'As most CAD files are drawn' },
+  { value: OUTPUT_UNITS.METER, label: 'Metres', hint: 'glTF convention' }
+];
+
+// Triangle budgets the server simplifies models down to
+const BUDGET_OPTIONS = [
+  { value: TRIANGLE_BUDGETS.FULL, label: 'Full', hint: 'Every triangle' },
+  { value: TRIANGLE_BUDGETS.LARGE, label: '1M', hint: 'At most 1M triangles' },
+  { value: TRIANGLE_BUDGETS.SMALL, label: '250K', hint: 'At most 250K triangles' }
+];
 
 // Loading phase configurations
 const PHASE_CONFIG = {
@@ -55,6 +93,7 @@ function Sidebar({
   onSelectModel,
   onDeleteModel,
   onToggleVisibility,
+  onSelectAssembly,
   model, // Current selected model scene
   
   // Transform
@@ -118,6 +157,14 @@ function Sidebar({
   const [loadingPhase, setLoadingPhase] = useState(LOADING_PHASES.IDLE);
   const [loadingMessage, setLoadingMessage] = useState('');
   const [processingTime, setProcessingTime] = useState(0);
+  const [quality, setQuality] = useState(QUALITY_PRESETS.NORMAL);
+  const [optimizeGLTF, setOptimizeGLTF] = useState(false);
+  const [compression, setCompression] = useState(COMPRESSION_MODES.NONE);
+  const [units, setUnits] = useState(OUTPUT_UNITS.MILLIMETER);
+  const [triangleBudget, setTriangleBudget] = useState(TRIANGLE_BUDGETS.FULL);
+  const [generateLods, setGenerateLods] = useState(false);
+  // Last failed server conversion, for the retry buttons: { file, retryable, retryDraft }
+  const [failedUpload, setFailedUpload] = useState(null);
   const [expandedSection, setExpandedSection] = useState({
     upload: true, 
     models: true,
@@ -196,19 +243,20 @@ function Sidebar({
       return { valid: false, error: 'No file selected' };
     }
 
-    if (file.size > MAX_FILE_SIZE) {
+    const validExtensions = ['.step', '.stp', '.igs', '.iges', '.brep', '.gltf', '.glb', '.fbx', '.obj', '.stl', '.dae', '.ply', '.3mf', '.zip'];
+    const ext = '.' + file.name.split('.').pop().toLowerCase();
+    if (!validExtensions.includes(ext)) {
       return { 
         valid: false, 
-        error: `File too large: ${formatFileSize(file.size)}\nMaximum allowed: ${MAX_FILE_SIZE_MB}MB\n\nPlease compress or simplify your model.`
+        error: `Unsupported format: ${ext}\nSupported: ${validExtensions.join(', ')}`
       };
     }
 
-    const validExtensions = ['.step', '.stp', '.gltf', '.glb', '.fbx', '.obj', '.stl', '.dae', '.ply', '.3mf'];
-    const ext = '.' + file.name.split('.').pop().toLowerCase();
-    if (!validExtensions.includes(ext)) {
+    const toServer = SERVER_FORMATS.includes(ext) || isBatchArchive(file);
+    if (file.size > (toServer ? SERVER_MAX_FILE_SIZE : MAX_FILE_SIZE)) {
       return { 
         valid: false, 
-        error: `Unsupported format: ${ext}\nSupported: ${validExtensions.join(', ')}`
+        error: `File too large: ${formatFileSize(file.size)}\nMaximum allowed: ${toServer ? `${SERVER_MAX_FILE_SIZE_GB}GB` : `${MAX_FILE_SIZE_MB}MB`}\n\nPlease compress or simplify your model.`
       };
     }
 
@@ -233,8 +281,10 @@ function Sidebar({
     resetLoadingState();
   }, [resetLoadingState]);
 
-  const processFile = async (file) => {
+  // `overrides` replace the current conversion settings (used by the retry buttons)
+  const processFile = async (file, overrides = {}) => {
     if (!file) return;
+    setFailedUpload(null);
 
     const validation = validateFile(file);
     if (!validation.valid) {
@@ -242,6 +292,14 @@ function Sidebar({
       return;
     }
 
+    // Formats the server does not handle are parsed in the browser
+    const ext = '.' + file.name.split('.').pop().toLowerCase();
+    if (!SERVER_FORMATS.includes(ext)) {
+      if (setError) setError(null);
+      parentHandleFile?.({ target: { files: [file] }, fileName: file.name });
+      return;
+    }
+
     abortControllerRef.current = new AbortController();
     
     if (setLoading) setLoading(true);
@@ -259,7 +317,15 @@ function Sidebar({
           setLoadingMessage(message);
           if (setLoadingStatus) setLoadingStatus(message);
         },
-        {},
+        {
+          quality,
+          optimize: optimizeGLTF,
+          compression,
+          units,
+          maxTriangles: triangleBudget,
+          lodLevels: generateLods ? LOD_LEVELS : 1,
+          ...overrides
+        },
         abortControllerRef.current.signal
       );
       
@@ -267,6 +333,7 @@ function Sidebar({
         parentHandleFile({ 
           target: { files: [file] },
           url: result.url,
+          sessionId: result.sessionId,
           fileName: file.name 
         }, result.url);
       }
@@ -280,22 +347,105 @@ function Sidebar({
     } catch (err) {
       if (err.message !== 'Upload cancelled') {
         if (setError) setError(err.message);
+        setFailedUpload({
+          file,
+          retryable: !!err.retryable,
+          retryDraft: !!err.retryDraft && (overrides.quality || quality) !== QUALITY_PRESETS.DRAFT
+        });
+        setLoadingPhase(LOADING_PHASES.ERROR);
+      }
+      resetLoadingState();
+    }
+  };
+
+  // Several server files, or any zip, are converted as one batch job
+  const processBatch = async (files, overrides = {}) => {
+    setFailedUpload(null);
+
+    const invalid = files.map(validateFile).filter((v) => !v.valid);
+    if (invalid.length > 0) {
+      if (setError) setError(invalid.map((v) => v.error).join('\n\n'));
+      return;
+    }
+
+    abortControllerRef.current = new AbortController();
+
+    if (setLoading) setLoading(true);
+    if (setError) setError(null);
+    setUploadProgress(0);
+    setLoadingPhase(LOADING_PHASES.UPLOADING);
+    setLoadingMessage(`Starting upload of ${files.length} files...`);
+
+    try {
+      const batch = await convertBatch(
+        files,
+        (phase, percent, message) => {
+          setLoadingPhase(phase);
+          setUploadProgress(percent);
+          setLoadingMessage(message);
+          if (setLoadingStatus) setLoadingStatus(message);
+        },
+        {
+          quality,
+          optimize: optimizeGLTF,
+          compression,
+          units,
+          maxTriangles: triangleBudget,
+          lodLevels: generateLods ? LOD_LEVELS : 1,
+          ...overrides
+        },
+        abortControllerRef.current.signal
+      );
+
+      parentHandleFile?.({ batch });
+
+      setLoadingPhase(LOADING_PHASES.COMPLETE);
+      setTimeout(() => {
+        resetLoadingState();
+      }, 500);
+    } catch (err) {
+      if (err.message !== 'Upload cancelled') {
+        if (setError) setError(err.message);
+        setFailedUpload({
+          files,
+          retryable: !!err.retryable,
+          retryDraft: !!err.retryDraft && (overrides.quality || quality) !== QUALITY_PRESETS.DRAFT
+        });
         setLoadingPhase(LOADING_PHASES.ERROR);
       }
       resetLoadingState();
     }
   };
 
+  const retryUpload = (overrides) => (
+    failedUpload.files ? processBatch(failedUpload.files, overrides) : processFile(failedUpload.file, overrides)
+  );
+
+  // Files the browser opens itself go straight to the viewer either way
+  const processFiles = (fileList) => {
+    const files = Array.from(fileList);
+    const toServer = files.filter((file) => (
+      SERVER_FORMATS.includes('.' + file.name.split('.').pop().toLowerCase()) || isBatchArchive(file)
+    ));
+
+    if (toServer.length > 1 || toServer.some(isBatchArchive)) {
+      files.filter((file) => !toServer.includes(file)).forEach((file) => processFile(file));
+      processBatch(toServer);
+      return;
+    }
+
+    files.forEach((file, index) => {
+      setTimeout(() => processFile(file), index * 500);
+    });
+  };
+
   const onDrop = (e) => {
     e.preventDefault();
     if (loadingPhase !== LOADING_PHASES.IDLE) return;
     
     const files = e.dataTransfer.files;
     if (files.length > 0) {
-      // Process multiple files
-      Array.from(files).forEach((file, index) => {
-        setTimeout(() => processFile(file), index * 500);
-      });
+      processFiles(files);
     }
   };
 
@@ -303,9 +453,7 @@ function Sidebar({
     if (loadingPhase !== LOADING_PHASES.IDLE) return;
     const files = e.target.files;
     if (files && files.length > 0) {
-      Array.from(files).forEach((file, index) => {
-        setTimeout(() => processFile(file), index * 500);
-      });
+      processFiles(files);
     }
     e.target.value = '';
   };
@@ -507,7 +655,7 @@ function Sidebar({
               <input 
                 type="file" 
                 className="hidden" 
-                accept=".step,.stp,.gltf,.glb,.fbx,.obj,.stl,.dae,.ply,.3mf" 
+                accept=".step,.stp,.igs,.iges,.brep,.gltf,.glb,.fbx,.obj,.stl,.dae,.ply,.3mf,.zip" 
                 onChange={onFileSelect} 
                 disabled={isLoading}
                 multiple
@@ -516,9 +664,7 @@ function Sidebar({
               {isLoading ? (
                 <div className="flex flex-col items-center w-full px-6">
                   <div className="relative mb-3">
-                    <ProgressRing 
-                      progress={loadingPhase === LOADING_PHASES.PROCESSING ? 100 : uploadProgress} 
-                    />
+                    <ProgressRing progress={uploadProgress} />
                     <div className="absolute inset-0 flex items-center justify-center">
                       <LoadingIcon phase={loadingPhase} />
                     </div>
@@ -539,11 +685,7 @@ function Sidebar({
                         loadingPhase === LOADING_PHASES.PROCESSING ? 'bg-purple-500 animate-pulse' :
                         'bg-green-500'
                       }`} 
-                      style={{ 
-                        width: loadingPhase === LOADING_PHASES.PROCESSING 
-                          ? '100%' 
-                          : `${uploadProgress}%` 
-                      }}
+                      style={{ width: `${uploadProgress}%` }}
                     />
                   </div>
                   
@@ -581,15 +723,127 @@ function Sidebar({
                   <p className="text-xs text-gray-500 mt-1">or click to browse (multiple allowed)</p>
                   <div className="flex items-center gap-2 mt-3">
                     <span className="px-2 py-0.5 bg-gray-700/50 rounded text-[10px] text-gray-500">
-                      Max {MAX_FILE_SIZE_MB}MB each
+                      Max {SERVER_MAX_FILE_SIZE_GB}GB each (OBJ, STL, FBX {MAX_FILE_SIZE_MB}MB)
                     </span>
                     <span className="px-2 py-0.5 bg-gray-700/50 rounded text-[10px] text-gray-500">
-                      STEP, GLTF, OBJ, STL, FBX
+                      STEP, IGES, GLTF, OBJ, STL, FBX, ZIP
                     </span>
                   </div>
                 </>
               )}
             </label>
+
+            {/* Server conversion settings */}
+            {!isLoading && (
+              <div className="mt-3 p-3 bg-gray-700/30 rounded-lg">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm text-gray-300">CAD Quality</span>
+                  <span className="text-[10px] text-gray-500">
+                    {QUALITY_OPTIONS.find(o => o.value === quality)?.hint}
+                  </span>
+                </div>
+                <div className="grid grid-cols-3 gap-1">
+                  {QUALITY_OPTIONS.map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => setQuality(option.value)}
+                      className={`px-2 py-1.5 text-xs rounded-md transition-colors ${
+                        quality === option.value
+                          ? "bg-blue-500 text-white"
+                          : "bg-gray-700/50 text-gray-400 hover:bg-gray-600/50 hover:text-gray-300"
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex items-center justify-between mt-3 mb-2">
+                  <span className="text-sm text-gray-300">Compression</span>
+                  <span className="text-[10px] text-gray-500">
+                    {COMPRESSION_OPTIONS.find(o => o.value === compression)?.hint}
+                  </span>
+                </div>
+                <div className="grid grid-cols-3 gap-1">
+                  {COMPRESSION_OPTIONS.map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => setCompression(option.value)}
+                      className={`px-2 py-1.5 text-xs rounded-md transition-colors ${
+                        compression === option.value
+                          ? "bg-blue-500 text-white"
+                          : "bg-gray-700/50 text-gray-400 hover:bg-gray-600/50 hover:text-gray-300"
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex items-center justify-between mt-3 mb-2">
+                  <span className="text-sm text-gray-300">CAD Units</span>
+                  <span className="text-[10px] text-gray-500">
+                    {UNIT_OPTIONS.find(o => o.value === units)?.hint}
+                  </span>
+                </div>
+                <div className="grid grid-cols-2 gap-1">
+                  {UNIT_OPTIONS.map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => setUnits(option.value)}
+                      className={`px-2 py-1.5 text-xs rounded-md transition-colors ${
+                        units === option.value
+                          ? "bg-blue-500 text-white"
+                          : "bg-gray-700/50 text-gray-400 hover:bg-gray-600/50 hover:text-gray-300"
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex items-center justify-between mt-3 mb-2">
+                  <span className="text-sm text-gray-300">Triangle Budget</span>
+                  <span className="text-[10px] text-gray-500">
+                    {BUDGET_OPTIONS.find(o => o.value === triangleBudget)?.hint}
+                  </span>
+                </div>
+                <div className="grid grid-cols-3 gap-1">
+                  {BUDGET_OPTIONS.map(option => (
+                    <button
+                      key={option.label}
+                      onClick={() => setTriangleBudget(option.value)}
+                      className={`px-2 py-1.5 text-xs rounded-md transition-colors ${
+                        triangleBudget === option.value
+                          ? "bg-blue-500 text-white"
+                          : "bg-gray-700/50 text-gray-400 hover:bg-gray-600/50 hover:text-gray-300"
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex items-center justify-between mt-3">
+                  <span className="text-sm text-gray-300" title="Add coarser versions the viewer shows when zoomed out (MSFT_lod)">
+                    Levels of Detail
+                  </span>
+                  <button
+                    onClick={() => setGenerateLods(!generateLods)}
+                    className={`w-11 h-6 rounded-full transition-all ${generateLods ? "bg-blue-500" : "bg-gray-600"}`}
+                  >
+                    <div className={`w-4 h-4 rounded-full bg-white shadow-md ml-1 transition-transform ${generateLods ? "translate-x-5" : ""}`} />
+                  </button>
+                </div>
+                <div className="flex items-center justify-between mt-3">
+                  <span className="text-sm text-gray-300" title="Dedup, weld, prune and quantize glTF/GLB uploads">
+                    Optimize glTF
+                  </span>
+                  <button
+                    onClick={() => setOptimizeGLTF(!optimizeGLTF)}
+                    className={`w-11 h-6 rounded-full transition-all ${optimizeGLTF ? "bg-blue-500" : "bg-gray-600"}`}
+                  >
+                    <div className={`w-4 h-4 rounded-full bg-white shadow-md ml-1 transition-transform ${optimizeGLTF ? "translate-x-5" : ""}`} />
+                  </button>
+                </div>
+              </div>
+            )}
             
             {/* Error Message */}
             {error && !isLoading && (
@@ -603,6 +857,29 @@ function Sidebar({
                   <div className="flex-1">
                     <p className="text-sm text-red-400 font-medium">Upload Failed</p>
                     <p className="text-xs text-red-400/70 mt-1 whitespace-pre-line">{error}</p>
+                    {failedUpload && (failedUpload.retryable || failedUpload.retryDraft) && (
+                      <div className="flex gap-2 mt-2">
+                        {failedUpload.retryable && (
+                          <button
+                            onClick={() => retryUpload()}
+                            className="px-2 py-1.5 text-xs rounded-md bg-red-500/20 hover:bg-red-500/30 text-red-300 transition-colors"
+                          >
+                            Retry
+                          </button>
+                        )}
+                        {failedUpload.retryDraft && (
+                          <button
+                            onClick={() => {
+                              setQuality(QUALITY_PRESETS.DRAFT);
+                              retryUpload({ quality: QUALITY_PRESETS.DRAFT });
+                            }}
+                            className="px-2 py-1.5 text-xs rounded-md bg-red-500/20 hover:bg-red-500/30 text-red-300 transition-colors"
+                          >
+                            Retry with Draft quality
+                          </button>
+                        )}
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -619,6 +896,7 @@ function Sidebar({
           onSelectModel={onSelectModel}
           onDeleteModel={onDeleteModel}
           onToggleVisibility={onToggleVisibility}
+          onSelectAssembly={onSelectAssembly}
         />
       )}
 
@@ -19,7 +19,8 @@ import CameraController from "./Components/CameraController";
 import Sidebar from "./Components/Sidebar";
 import Toolbar from "./Components/Toolbar";
 import ModelList from "./Components/ModelList";
-import { loadModel } from "./modelLoader";
+import { loadModel, isBatchFormat, isBatchArchive } from "./modelLoader";
+import config from "../config";
 import {
   downloadAsGLB,
   downloadAsGLTF,
@@ -27,6 +28,11 @@ import {
   downloadAsSTL,
   getModelStats,
 } from "./services/exportService";
+import {
+  convertBatch,
+  sendSessionHeartbeat,
+  SESSION_HEARTBEAT_INTERVAL_MS,
+} from "./services/converterService";
 
 // SVG Icon Components for Viewer
 const ViewerIcons = {
@@ -372,6 +378,20 @@ export default function Viewer() {
     selectedModelIdRef.current = selectedModelId;
   }, [selectedModelId]);
 
+  // Keep server-converted models from being cleaned up while they are open
+  const sessionIds = useMemo(
+    () => [...new Set(models.map((m) => m.sessionId).filter(Boolean))].join(","),
+    [models]
+  );
+
+  useEffect(() => {
+    if (!sessionIds) return;
+    const timer = setInterval(() => {
+      sessionIds.split(",").forEach(sendSessionHeartbeat);
+    }, SESSION_HEARTBEAT_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [sessionIds]);
+
   // Calculate total stats whenever models change
   useEffect(() => {
     let vertices = 0;
@@ -526,13 +546,15 @@ export default function Viewer() {
     `model_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
   // File Processing
-  const processFile = useCallback((file, placementIndex = null) => {
+  // convertedUrl: GLB the Sidebar already converted on the server (skips a second conversion)
+  // sessionId: server session owning that GLB, kept alive by the heartbeat above
+  const processFile = useCallback((file, placementIndex = null, convertedUrl = null, sessionId = null) => {
     setError("");
     setWarning("");
     setLoading(true);
     setLoadingStatus("Starting...");
 
-    loadModel(file, (status) => setLoadingStatus(status))
+    loadModel(file, (status) => setLoadingStatus(status), { convertedUrl })
       .then((scene) => {
         const modelId = generateModelId();
         const stats = getModelStats(scene);
@@ -558,7 +580,10 @@ export default function Viewer() {
           id: modelId,
           scene: scene,
           fileName: file.name,
+          sessionId: sessionId || scene.userData?.sessionId || null,
           stats: stats,
+          // Real-world size in metres [x, y, z], known for converted CAD files only
+          dimensions: scene.userData?.dimensions || null,
           visible: true,
           position: [xOffset, 0, 0],
           rotation: [0, 0, 0],
@@ -567,6 +592,15 @@ export default function Viewer() {
 
         setModels((prev) => [...prev, newModel]);
         setSelectedModelId(modelId);
+
+        // Past the browser budget the viewer slows down; the server can simplify on conversion
+        const { MAX_VERTICES } = config.BROWSER_PARSING;
+        if (stats.vertices > MAX_VERTICES) {
+          setWarning(
+            `${file.name} has ${stats.vertices.toLocaleString()} vertices, more than the ` +
+              `${MAX_VERTICES.toLocaleString()} the viewer handles well. Convert it with a triangle budget to simplify it.`
+          );
+        }
         // Clear material selection when loading new model
         setSelectedMaterialId(null);
         setHighlightedMeshes([]);
@@ -583,23 +617,67 @@ export default function Viewer() {
       });
   }, []);
 
+  // Place a batch's converted GLBs side by side; what did not convert is listed in the warning
+  const loadConvertedBatch = useCallback(
+    (batch, baseIndex = modelsRef.current.length) => {
+      batch.files
+        .filter((f) => f.status === "complete")
+        .forEach((f, i) =>
+          processFile({ name: f.fileName }, baseIndex + i, f.url, batch.sessionId)
+        );
+
+      const notLoaded = batch.files.filter(
+        (f) => f.status === "failed" || f.status === "skipped"
+      );
+      if (notLoaded.length > 0) {
+        setWarning(
+          `${notLoaded.length} of ${batch.files.length} files not loaded: ` +
+            notLoaded.map((f) => `${f.fileName} (${f.error})`).join(", ")
+        );
+      }
+    },
+    [processFile]
+  );
+
+  // CAD files and zips go to the server as one batch job holding a single
+  // converter slot; formats the browser reads itself are loaded one by one
   const processMultipleFiles = useCallback(
-    (files) => {
+    async (files) => {
       const fileArray = Array.from(files);
       const baseIndex = modelsRef.current.length;
-      fileArray.forEach((file, i) => {
-        const placementIndex = baseIndex + i;
-        setTimeout(() => processFile(file, placementIndex), i * 100);
-      });
+      const batchFiles = fileArray.filter(isBatchFormat);
+      const localFiles = fileArray.filter((file) => !isBatchFormat(file));
+
+      localFiles.forEach((file, i) => processFile(file, baseIndex + i));
+      if (batchFiles.length === 0) return;
+
+      setError("");
+      setLoading(true);
+      setLoadingStatus("Starting batch upload...");
+      try {
+        const batch = await convertBatch(batchFiles, (phase, percent, message) =>
+          setLoadingStatus(message)
+        );
+        loadConvertedBatch(batch, baseIndex + localFiles.length);
+      } catch (err) {
+        setError(err.message || "Batch conversion failed");
+        setLoading(false);
+        setLoadingStatus("");
+      }
     },
-    [processFile]
+    [processFile, loadConvertedBatch]
   );
 
   const handleFile = (e) => {
+    // The Sidebar converted several files as one batch
+    if (e.batch) {
+      loadConvertedBatch(e.batch);
+      return;
+    }
     const files = e.target.files;
     if (files && files.length > 0) {
-      if (files.length === 1) {
-        processFile(files[0]);
+      if (files.length === 1 && !isBatchArchive(files[0])) {
+        processFile(files[0], null, e.url, e.sessionId);
       } else {
         processMultipleFiles(files);
       }
@@ -611,7 +689,7 @@ export default function Viewer() {
     setIsDragging(false);
     const files = e.dataTransfer.files;
     if (files.length > 0) {
-      if (files.length === 1) {
+      if (files.length === 1 && !isBatchArchive(files[0])) {
         processFile(files[0]);
       } else {
         processMultipleFiles(files);
@@ -851,6 +929,20 @@ export default function Viewer() {
     }
   }, []); // No dependencies - uses refs
 
+  // Highlight every mesh of a sub-assembly picked in the model list
+  const handleSelectAssembly = useCallback((modelId, assembly) => {
+    const meshesToHighlight = [];
+    assembly.traverse((child) => {
+      if (child.isMesh) {
+        meshesToHighlight.push({ mesh: child, modelId });
+      }
+    });
+
+    setSelectedModelId(modelId);
+    setSelectedMaterialId(null);
+    setHighlightedMeshes(meshesToHighlight);
+  }, []);
+
   const handleMaterialMeshesUpdate = useCallback(
     (meshes) => {
       const currentSelectedModelId = selectedModelIdRef.current;
@@ -1026,6 +1118,7 @@ export default function Viewer() {
         onSelectModel={handleSelectModel}
         onDeleteModel={handleDeleteModel}
         onToggleVisibility={handleToggleModelVisibility}
+        onSelectAssembly={handleSelectAssembly}
         model={selectedModel?.scene}
         isDragging={isDragging}
         transformMode={transformMode}
@@ -1083,7 +1176,7 @@ export default function Viewer() {
                 No Models Loaded
               </h2>
               <p className="text-sm text-gray-500 mb-4">
-                Upload STEP, OBJ, FBX, or GLTF files
+                Upload STEP, IGES, OBJ, FBX, or GLTF files
               </p>
               <p className="text-xs text-gray-600">
                 Drag & drop multiple files to load them together
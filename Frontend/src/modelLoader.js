@@ -4,11 +4,15 @@ import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader";
 import { FBXLoader } from "three/examples/jsm/loaders/FBXLoader";
 import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader";
 import { STLLoader } from "three/examples/jsm/loaders/STLLoader";
-import { convertFile } from "./services/converterService";
+import { MeshoptDecoder } from "three/examples/jsm/libs/meshopt_decoder.module.js";
+import { API_URL, authHeaders, convertFile, BATCH_ARCHIVE_FORMATS } from "./services/converterService";
+import { GLTFLodExtension } from "./msftLod";
 
 // 1. Define Format Info for the UI (This was missing)
 export const FORMAT_INFO = [
     { ext: ".step/.stp", name: "STEP", color: "bg-red-500/10 text-red-400 border border-red-500/20", icon: "🔧", requiresConversion: true },
+    { ext: ".igs/.iges", name: "IGES", color: "bg-amber-500/10 text-amber-400 border border-amber-500/20", icon: "📏", requiresConversion: true },
+    { ext: ".brep", name: "BREP", color: "bg-teal-500/10 text-teal-400 border border-teal-500/20", icon: "🧱", requiresConversion: true },
     // { ext: ".blend", name: "Blender", color: "bg-orange-500/10 text-orange-400 border border-orange-500/20", icon: "🎨", requiresConversion: true },
     // { ext: ".ma/.mb", name: "Maya", color: "bg-pink-500/10 text-pink-400 border border-pink-500/20", icon: "🎭", requiresConversion: true },
     { ext: ".fbx", name: "FBX", color: "bg-purple-500/10 text-purple-400 border border-purple-500/20", icon: "🎬", requiresConversion: false },
@@ -19,16 +23,30 @@ export const FORMAT_INFO = [
 
 // 2. Define Supported Extensions List
 export const SUPPORTED_EXTENSIONS = [
-    ".step", ".stp", ".blend", ".ma", ".mb", 
+    ".step", ".stp", ".igs", ".iges", ".brep", ".blend", ".ma", ".mb", 
     ".gltf", ".glb", ".fbx", ".obj", ".stl", ".dae", ".ply"
 ];
 
 // Formats that must go to the server
-const COMPLEX_FORMATS = ['.step', '.stp', '.blend', '.ma', '.mb'];
+const COMPLEX_FORMATS = ['.step', '.stp', '.igs', '.iges', '.brep', '.blend', '.ma', '.mb'];
 
 // Formats handled locally in browser
 const WEB_FORMATS = ['.gltf', '.glb', '.fbx', '.obj', '.stl', '.dae', '.ply'];
 
+// Opened together, these go to the server as one batch job (see convertBatch)
+const BATCH_FORMATS = ['.step', '.stp', '.igs', '.iges', '.brep', ...BATCH_ARCHIVE_FORMATS];
+
+const extensionOf = (file) => '.' + file.name.toLowerCase().split('.').pop();
+
+export function isBatchFormat(file) {
+    return BATCH_FORMATS.includes(extensionOf(file));
+}
+
+// A zip can only be opened through a batch, even on its own
+export function isBatchArchive(file) {
+    return BATCH_ARCHIVE_FORMATS.includes(extensionOf(file));
+}
+
 function setupMaterials(object) {
     object.traverse((child) => {
         if (child.isMesh) {
@@ -48,12 +66,27 @@ function setupMaterials(object) {
 }
 
 async function loadGLB(url) {
-    const loader = new GLTFLoader();
+    // Server GLBs may use EXT_meshopt_compression and MSFT_lod; KHR_mesh_quantization needs no decoder
+    const loader = new GLTFLoader()
+        .setMeshoptDecoder(MeshoptDecoder)
+        .register((parser) => new GLTFLodExtension(parser));
+    // Converted models are served behind the API key
+    if (url.startsWith(API_URL)) loader.setRequestHeader(authHeaders());
     const gltf = await loader.loadAsync(url);
-    return setupMaterials(gltf.scene);
+    const scene = setupMaterials(gltf.scene);
+
+    // CAD conversions record their length unit in the root extras (see the server's
+    // cadUnits.js). The viewer rescales every model to fit, so keep the true size here.
+    const units = gltf.parser.json.extras?.units;
+    if (units?.metersPerUnit) {
+        const size = new THREE.Box3().setFromObject(scene).getSize(new THREE.Vector3());
+        scene.userData.units = units;
+        scene.userData.dimensions = size.multiplyScalar(units.metersPerUnit).toArray();
+    }
+    return scene;
 }
 
-export async function loadModel(file, onProgress) {
+export async function loadModel(file, onProgress, { convertedUrl } = {}) {
     const filename = file.name.toLowerCase();
     const ext = '.' + filename.split('.').pop();
 
@@ -64,27 +97,37 @@ export async function loadModel(file, onProgress) {
     try {
         // 1. Handle Complex Formats (Server Conversion)
         if (COMPLEX_FORMATS.includes(ext)) {
+            // Already converted by the caller (with its own options)
+            if (convertedUrl) {
+                onProgress?.('Downloading converted model...');
+                return await loadGLB(convertedUrl);
+            }
+
             onProgress?.(`Uploading ${ext.toUpperCase()} for conversion...`);
             
             // Upload to server
-            const result = await convertFile(file, (pct) => {
-                 onProgress?.(`Converting on server: ${pct}%`);
+            const result = await convertFile(file, (phase, percent, message) => {
+                 onProgress?.(message);
             });
 
             onProgress?.('Downloading converted model...');
             // Load the resulting GLB
-            return await loadGLB(result.url);
+            const model = await loadGLB(result.url);
+            model.userData.sessionId = result.sessionId;
+            return model;
         }
 
         // 2. Handle Web Formats (Local Loading)
         if (WEB_FORMATS.includes(ext)) {
             onProgress?.(`Parsing ${ext.toUpperCase()} locally...`);
-            const objectUrl = URL.createObjectURL(file);
+            // Batch results come as { name } without the file's bytes, so only read the file when needed
+            const objectUrl = convertedUrl ? null : URL.createObjectURL(file);
             let model;
 
             try {
                 if (ext === '.glb' || ext === '.gltf') {
-                    model = await loadGLB(objectUrl);
+                    // Prefer the copy the server validated (and possibly optimized)
+                    model = await loadGLB(convertedUrl || objectUrl);
                 } else if (ext === '.fbx') {
                     const fbx = await new FBXLoader().loadAsync(objectUrl);
                     model = setupMaterials(fbx);
@@ -98,7 +141,7 @@ export async function loadModel(file, onProgress) {
                     setupMaterials(model);
                 }
             } finally {
-                URL.revokeObjectURL(objectUrl);
+                if (objectUrl) URL.revokeObjectURL(objectUrl);
             }
             return model;
         }
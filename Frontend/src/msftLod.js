@@ -0,0 +1,79 @@
+// Frontend/src/msftLod.js
+// MSFT_lod for GLTFLoader. The server writes coarser stand-ins for a node's
+// mesh in extensions.MSFT_lod.ids (finest first), with the share of the screen
+// height each level needs in extras.MSFT_screencoverage. Such nodes load as a
+// THREE.LOD; its switch distances depend on how big the model ends up in the
+// scene, so they are set by updateLodDistances() once the model is placed.
+import * as THREE from "three";
+
+const NAME = "MSFT_lod";
+
+function nodeMatrix(nodeDef) {
+  const matrix = new THREE.Matrix4();
+  if (nodeDef.matrix) return matrix.fromArray(nodeDef.matrix);
+  return matrix.compose(
+    new THREE.Vector3().fromArray(nodeDef.translation || [0, 0, 0]),
+    new THREE.Quaternion().fromArray(nodeDef.rotation || [0, 0, 0, 1]),
+    new THREE.Vector3().fromArray(nodeDef.scale || [1, 1, 1])
+  );
+}
+
+export class GLTFLodExtension {
+  constructor(parser) {
+    this.name = NAME;
+    this.parser = parser;
+  }
+
+  createNodeMesh(nodeIndex) {
+    const { json } = this.parser;
+    const nodeDef = json.nodes[nodeIndex];
+    const ids = nodeDef.extensions?.[NAME]?.ids;
+    if (!ids?.length || nodeDef.mesh === undefined) return null;
+
+    const levels = [nodeIndex, ...ids];
+    // Stand-ins have their own transform (quantization moves it per mesh), so place them relative to this node
+    const toNode = nodeMatrix(nodeDef).invert();
+
+    return Promise.all(levels.map((index) => this.parser.createNodeMesh(index))).then((objects) => {
+      const lod = new THREE.LOD();
+      lod.userData.screenCoverage = nodeDef.extras?.MSFT_screencoverage || [];
+      objects.forEach((object, level) => {
+        if (level > 0) object.applyMatrix4(toNode.clone().multiply(nodeMatrix(json.nodes[levels[level]])));
+        // Every node of the level: a mesh with several primitives loads as a Group of Meshes
+        object.traverse((child) => {
+          child.userData.lodLevel = level;
+        });
+        // Finest level only until updateLodDistances() knows the model's size
+        lod.addLevel(object, level === 0 ? 0 : Infinity);
+      });
+      return lod;
+    });
+  }
+}
+
+/**
+ * Whether `object` belongs to a coarser stand-in level rather than the model itself
+ */
+export function isLodStandIn(object) {
+  return object.userData.lodLevel > 0;
+}
+
+/**
+ * Set the switch distances of every LOD under `object` from its screen
+ * coverage values, for the object's current world size and the camera's field of view
+ */
+export function updateLodDistances(object, camera) {
+  const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(camera.fov || 50) / 2);
+  const sphere = new THREE.Sphere();
+  object.updateMatrixWorld(true);
+
+  object.traverse((child) => {
+    if (!child.isLOD) return;
+    const coverage = child.userData.screenCoverage || [];
+    new THREE.Box3().setFromObject(child.levels[0].object).getBoundingSphere(sphere);
+    child.levels.forEach((level, i) => {
+      // Level i takes over once the object covers less than coverage[i - 1] of the screen height
+      if (i > 0 && coverage[i - 1] > 0) level.distance = sphere.radius / (coverage[i - 1] * tanHalfFov);
+    });
+  });
+}
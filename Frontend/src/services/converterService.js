@@ -1,8 +1,12 @@
 // Frontend/src/services/converterService.js
-const API_URL = import.meta.env?.VITE_API_URL || 'http://localhost:5000';
+export const API_URL = import.meta.env?.VITE_API_URL || 'http://localhost:5000';
+
+// Sent with every server request when the server requires an API key
+const API_KEY = import.meta.env?.VITE_API_KEY || '';
 
 let isConverting = false;
 let currentXHR = null;
+let currentController = null;
 
 // Loading phases
 export const LOADING_PHASES = {
@@ -14,109 +18,533 @@ export const LOADING_PHASES = {
   ERROR: 'error'
 };
 
+// CAD tessellation presets understood by the server
+export const QUALITY_PRESETS = {
+  DRAFT: 'draft',
+  NORMAL: 'normal',
+  FINE: 'fine'
+};
+
+// Geometry compression for the GLBs the server returns
+export const COMPRESSION_MODES = {
+  NONE: 'none',
+  QUANTIZE: 'quantize',
+  MESHOPT: 'meshopt'
+};
+
+// Length unit of converted CAD geometry. CAD files are usually in millimetres;
+// glTF's convention is metres.
+export const OUTPUT_UNITS = {
+  MILLIMETER: 'millimeter',
+  METER: 'meter'
+};
+
+// Triangle budgets for server-side simplification (null keeps every triangle)
+export const TRIANGLE_BUDGETS = {
+  FULL: null,
+  LARGE: 1000000,
+  SMALL: 250000
+};
+
+// Levels written when LODs are on: the model itself plus two coarser MSFT_lod stand-ins
+export const LOD_LEVELS = 3;
+
+// Extensions the server accepts: CAD files are converted, glTF/GLB files are validated
+export const SERVER_FORMATS = ['.step', '.stp', '.igs', '.iges', '.brep', '.gltf', '.glb'];
+
+// Largest upload the server takes (its MAX_FILE_SIZE); big files go up in resumable chunks
+export const SERVER_MAX_FILE_SIZE = 2 * 1024 * 1024 * 1024;
+
+// Archives of parts, unpacked and converted by the batch endpoint only
+export const BATCH_ARCHIVE_FORMATS = ['.zip'];
+
+// Resumable uploads: a failed chunk is retried with exponential backoff
+const UPLOAD_MAX_RETRIES = 5;
+const UPLOAD_RETRY_DELAY_MS = 1000;
+const CHUNK_TIMEOUT_MS = 2 * 60 * 1000;
+
+// How often to ask the server for job progress
+const JOB_POLL_INTERVAL_MS = 1000;
+
+// How often an open model tells the server it is still in use (files idle for an hour are removed)
+export const SESSION_HEARTBEAT_INTERVAL_MS = 5 * 60 * 1000;
+
+// Server-side conversion phases (reported by the OCCT and glTF workers)
+const JOB_PHASE_LABELS = {
+  queued: 'Waiting for converter',
+  initializing: 'Starting converter',
+  reading: 'Reading file',
+  parsing: 'Parsing geometry',
+  processing: 'Processing meshes',
+  geometry: 'Processing geometry',
+  normals: 'Computing normals',
+  validating: 'Validating glTF',
+  optimizing: 'Optimizing glTF',
+  compressing: 'Compressing GLB',
+  creating_glb: 'Packing GLB',
+  complete: 'Finishing'
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 /**
- * Convert file with position options
- * @param {File} file - File to convert
- * @param {Function} onProgress - Progress callback (phase, percent, message)
- * @param {Object} options - Conversion options
- * @param {AbortSignal} signal - Optional abort signal
+ * Headers that authenticate a request to the conversion server
  */
-export async function convertFile(file, onProgress, options = {}, signal = null) {
-  isConverting = true;
-  
-  const timeoutMs = Math.max(120000, (file.size / (1024 * 1024)) * 6000);
+export function authHeaders() {
+  return API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {};
+}
+
+function reportJobProgress(job, onProgress) {
+  // Waiting behind other conversions on the server
+  if (job.status === 'queued') {
+    onProgress?.(LOADING_PHASES.PROCESSING, 0, `Queued (#${job.queuePosition})`);
+    return;
+  }
+  const label = JOB_PHASE_LABELS[job.phase] || 'Processing on server';
+  // Batch jobs say which of their files is being converted
+  const current = job.files?.find((f) => f.status === 'processing');
+  const prefix = current ? `${current.fileName}: ` : '';
+  onProgress?.(LOADING_PHASES.PROCESSING, job.percent, `${prefix}${label}... ${job.percent}%`);
+}
+
+// What to tell the user for each server error code. `retry`: trying the same
+// file again may work; `retryDraft`: a coarser tessellation may get through.
+export const ERROR_HINTS = {
+  UNSUPPORTED_FORMAT: { message: 'This file type cannot be converted. Use STEP, IGES, BREP, glTF or GLB.' },
+  CONTENT_MISMATCH: { message: 'The file content does not match its extension. Check that it was not renamed or truncated.' },
+  PARSE_FAILED: { message: 'The file could not be read. Re-export it from your CAD tool and upload it again.' },
+  EMPTY_GEOMETRY: { message: 'The file contains no geometry to display. Check that the export includes solids or surfaces.' },
+  TIMEOUT: { message: 'The conversion took too long. Try a lower quality setting.', retry: true, retryDraft: true },
+  QUEUE_FULL: { message: 'The server is busy with other conversions. Wait a moment and try again.', retry: true },
+  TOO_LARGE: { message: 'The file is larger than the server accepts.' },
+  QUOTA_EXCEEDED: { message: 'Your workspace storage is full. Remove some models and try again.', retry: true },
+  INVALID_OPTIONS: { message: 'The server rejected the conversion settings.' },
+  INTERRUPTED: { message: 'The server restarted during the conversion.', retry: true },
+  CONVERSION_FAILED: { message: 'The converter crashed on this file.', retry: true },
+  UPLOAD_INCOMPLETE: { message: 'The upload did not finish.', retry: true },
+  UNAUTHORIZED: { message: 'The server needs a valid API key (VITE_API_KEY).' },
+  FORBIDDEN: { message: 'This API key may not do that.' }
+};
+
+/**
+ * Error for a failed server response ({ error, code, details, validation }).
+ * The message says what to do; the server's own text and any validation
+ * reasons follow on the next line. `retryable` tells the UI whether to offer a retry.
+ */
+function serverError(data, status) {
+  const hint = ERROR_HINTS[data?.code];
+  const reasons = data?.validation?.errors;
+  const serverMessage = data?.error
+    ? `${data.error}${reasons?.length ? `: ${reasons.join('; ')}` : ''}`
+    : `Server Error: ${status}`;
+
+  return Object.assign(new Error(hint ? `${hint.message}\n${serverMessage}` : serverMessage), {
+    code: data?.code,
+    details: data?.details,
+    status,
+    retryable: hint ? !!hint.retry : !status || status >= 500,
+    retryDraft: !!hint?.retryDraft
+  });
+}
+
+/**
+ * Start a resumable upload on the server
+ * Resolves with { uploadId, offset, size, chunkSize }
+ */
+async function createUpload(file, signal) {
+  const res = await fetch(`${API_URL}/api/uploads`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ fileName: file.name, size: file.size }),
+    signal
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw serverError(data, res.status);
+  return data;
+}
+
+/**
+ * How many bytes of an upload the server actually has
+ */
+async function getUploadOffset(uploadId, signal) {
+  const res = await fetch(`${API_URL}/api/uploads/${uploadId}`, { headers: authHeaders(), signal });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw serverError(data, res.status);
+  return data.offset;
+}
 
+/**
+ * Send one chunk at the given offset
+ * Resolves with the upload status; rejects with `status` set for HTTP errors
+ */
+function sendChunk(uploadId, chunk, offset, onChunkProgress, signal) {
   return new Promise((resolve, reject) => {
     const xhr = new XMLHttpRequest();
     currentXHR = xhr;
-    const formData = new FormData();
-    formData.append('file', file);
-    
-    // Add position options
-    formData.append('preservePosition', options.preservePosition !== false ? 'true' : 'false');
-    formData.append('centerModel', options.centerModel ? 'true' : 'false');
-    formData.append('groundModel', options.groundModel ? 'true' : 'false');
-    formData.append('rotateToYUp', options.rotateToYUp ? 'true' : 'false');
-
-    // Handle abort signal
-    if (signal) {
-      signal.addEventListener('abort', () => {
-        xhr.abort();
-        isConverting = false;
-        currentXHR = null;
-        reject(new Error('Upload cancelled'));
-      });
-    }
 
-    // Upload progress
-    xhr.upload.onprogress = (e) => {
-      if (e.lengthComputable) {
-        const percent = Math.round((e.loaded / e.total) * 100);
-        onProgress?.(LOADING_PHASES.UPLOADING, percent, `Uploading: ${percent}%`);
-      }
+    const onAbort = () => xhr.abort();
+    signal.addEventListener('abort', onAbort);
+    const done = () => {
+      currentXHR = null;
+      signal.removeEventListener('abort', onAbort);
     };
 
-    // Upload complete, now processing
-    xhr.upload.onload = () => {
-      onProgress?.(LOADING_PHASES.PROCESSING, 100, 'Processing on server...');
-    };
+    xhr.upload.onprogress = (e) => onChunkProgress(e.loaded);
 
     xhr.onload = () => {
-      isConverting = false;
-      currentXHR = null;
-      
-      if (xhr.status >= 200 && xhr.status < 300) {
-        try {
-          const data = JSON.parse(xhr.responseText);
-          onProgress?.(LOADING_PHASES.LOADING_MODEL, 100, 'Loading 3D model...');
-          resolve({
-            success: true,
-            url: `${API_URL}${data.url}`,
-            format: data.format,
-            size: data.size,
-            meshCount: data.meshCount,
-            bounds: data.bounds,
-            options: data.options
-          });
-        } catch { 
-          reject(new Error('Invalid server response')); 
-        }
-      } else {
-        try {
-          const err = JSON.parse(xhr.responseText);
-          reject(new Error(err.error || 'Conversion failed'));
-        } catch { 
-          reject(new Error(`Server Error: ${xhr.status}`)); 
-        }
+      done();
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        // handled by the status check below
       }
+      if (xhr.status >= 200 && xhr.status < 300) return resolve(data);
+      reject(serverError(data, xhr.status));
     };
 
-    xhr.onerror = () => { 
-      isConverting = false; 
-      currentXHR = null;
-      reject(new Error('Network error - check your connection')); 
+    xhr.onerror = () => {
+      done();
+      reject(new Error('Network error - check your connection'));
     };
-    
-    xhr.ontimeout = () => { 
-      isConverting = false; 
-      currentXHR = null;
-      reject(new Error('Request timed out - file may be too large')); 
+
+    xhr.ontimeout = () => {
+      done();
+      reject(new Error('Chunk upload timed out'));
     };
 
     xhr.onabort = () => {
-      isConverting = false;
-      currentXHR = null;
+      done();
+      reject(new Error('Upload cancelled'));
+    };
+
+    xhr.open('PATCH', `${API_URL}/api/uploads/${uploadId}`);
+    xhr.setRequestHeader('Upload-Offset', String(offset));
+    xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+    Object.entries(authHeaders()).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.timeout = CHUNK_TIMEOUT_MS;
+    xhr.send(chunk);
+  });
+}
+
+/**
+ * Upload a file in chunks, retrying failed chunks from the offset the server reports
+ * Resolves with the upload id to hand to the conversion job
+ */
+async function uploadFile(file, onProgress, signal) {
+  const { uploadId, chunkSize } = await createUpload(file, signal);
+
+  const reportUpload = (bytes) => {
+    const percent = file.size ? Math.round((bytes / file.size) * 100) : 100;
+    onProgress?.(LOADING_PHASES.UPLOADING, percent, `Uploading: ${percent}%`);
+  };
+
+  let offset = 0;
+  let failures = 0;
+
+  try {
+    while (offset < file.size) {
+      const chunk = file.slice(offset, Math.min(offset + chunkSize, file.size));
+      try {
+        const status = await sendChunk(uploadId, chunk, offset, (loaded) => reportUpload(offset + loaded), signal);
+        offset = status.offset;
+        failures = 0;
+        reportUpload(offset);
+      } catch (err) {
+        if (signal.aborted) throw err;
+        // Offset mismatches and server/network hiccups can be retried; anything else cannot
+        if (err.status && err.status !== 409 && err.status < 500) throw err;
+        if (++failures > UPLOAD_MAX_RETRIES) {
+          throw Object.assign(new Error(`Upload failed after ${UPLOAD_MAX_RETRIES} retries: ${err.message}`), { retryable: true });
+        }
+
+        onProgress?.(
+          LOADING_PHASES.UPLOADING,
+          Math.round((offset / file.size) * 100),
+          `Connection problem, retrying (${failures}/${UPLOAD_MAX_RETRIES})...`
+        );
+        await sleep(UPLOAD_RETRY_DELAY_MS * 2 ** (failures - 1));
+        offset = await getUploadOffset(uploadId, signal).catch((e) => {
+          if (e.status === 404) {
+            throw Object.assign(new Error('Upload expired on the server - please try again'), { retryable: true });
+          }
+          return offset;
+        });
+      }
+    }
+  } catch (err) {
+    // Free the partial file on the server; a later attempt starts a new upload
+    fetch(`${API_URL}/api/uploads/${uploadId}`, { method: 'DELETE', headers: authHeaders() }).catch(() => {});
+    throw signal.aborted ? new Error('Upload cancelled') : err;
+  }
+
+  return uploadId;
+}
+
+/**
+ * Add the conversion settings to a job request
+ */
+function appendConvertOptions(formData, options) {
+  // Add position options
+  formData.append('preservePosition', options.preservePosition !== false ? 'true' : 'false');
+  formData.append('centerModel', options.centerModel ? 'true' : 'false');
+  formData.append('groundModel', options.groundModel ? 'true' : 'false');
+  formData.append('rotateToYUp', options.rotateToYUp ? 'true' : 'false');
+
+  // Tessellation quality (explicit deflection values override the preset)
+  formData.append('quality', options.quality || QUALITY_PRESETS.NORMAL);
+  if (options.linearDeflection) formData.append('linearDeflection', String(options.linearDeflection));
+  if (options.angularDeflection) formData.append('angularDeflection', String(options.angularDeflection));
+  if (options.deflectionMode) formData.append('deflectionMode', options.deflectionMode);
+
+  // glTF/GLB only: dedup, weld, prune and quantize on the server
+  if (options.optimize) formData.append('optimize', 'true');
+  formData.append('compression', options.compression || COMPRESSION_MODES.NONE);
+  formData.append('units', options.units || OUTPUT_UNITS.MILLIMETER);
+
+  // Simplification on the server: a triangle budget and/or levels of detail
+  if (options.maxTriangles) formData.append('maxTriangles', String(options.maxTriangles));
+  if (options.lodLevels > 1) formData.append('lodLevels', String(options.lodLevels));
+}
+
+/**
+ * Start a conversion job for finished uploads
+ * `path` is /api/jobs (one `uploadId`) or /api/convert/batch (comma-separated `uploadIds`)
+ * Resolves with the initial job status ({ jobId, status, phase, percent })
+ */
+async function startJob(path, fields, options, signal) {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+  appendConvertOptions(formData, options);
+
+  let res;
+  try {
+    res = await fetch(`${API_URL}${path}`, { method: 'POST', headers: authHeaders(), body: formData, signal });
+  } catch (err) {
+    if (signal.aborted) throw new Error('Upload cancelled');
+    throw err;
+  }
+
+  const data = await res.json().catch(() => null);
+  if (!data) throw new Error(res.ok ? 'Invalid server response' : `Server Error: ${res.status}`);
+  if (!res.ok) throw serverError(data, res.status);
+  return data;
+}
+
+/**
+ * Poll a conversion job until it completes, fails or is cancelled
+ * Resolves with the job result ({ url, size, meshCount, bounds, ... })
+ */
+async function waitForJob(jobId, onProgress, signal) {
+  for (;;) {
+    if (signal.aborted) throw new Error('Upload cancelled');
+
+    let job;
+    try {
+      const res = await fetch(`${API_URL}/api/jobs/${jobId}`, { headers: authHeaders(), signal });
+      job = await res.json();
+      if (!res.ok) throw serverError(job, res.status);
+    } catch (err) {
+      if (signal.aborted) throw new Error('Upload cancelled');
+      throw err;
+    }
+
+    if (job.status === 'complete') return job.result;
+    if (job.status === 'cancelled') throw new Error('Upload cancelled');
+    if (job.status === 'failed') throw serverError(job);
+
+    reportJobProgress(job, onProgress);
+    await sleep(JOB_POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Follow a conversion job over Server-Sent Events
+ * Falls back to polling if the stream cannot be opened or drops
+ */
+function watchJob(jobId, onProgress, signal) {
+  if (typeof EventSource === 'undefined') return waitForJob(jobId, onProgress, signal);
+
+  return new Promise((resolve, reject) => {
+    // EventSource cannot send headers, so the key goes in the query string
+    const query = API_KEY ? `?apiKey=${encodeURIComponent(API_KEY)}` : '';
+    const source = new EventSource(`${API_URL}/api/convert/${jobId}/events${query}`);
+
+    const onAbort = () => {
+      close();
       reject(new Error('Upload cancelled'));
     };
+    const close = () => {
+      source.close();
+      signal.removeEventListener('abort', onAbort);
+    };
+    signal.addEventListener('abort', onAbort);
+
+    source.addEventListener('progress', (e) => {
+      reportJobProgress(JSON.parse(e.data), onProgress);
+    });
 
-    xhr.open('POST', `${API_URL}/api/convert`);
-    xhr.timeout = timeoutMs;
-    xhr.send(formData);
+    source.addEventListener('complete', (e) => {
+      close();
+      resolve(JSON.parse(e.data).result);
+    });
+
+    source.addEventListener('failed', (e) => {
+      close();
+      reject(serverError(JSON.parse(e.data)));
+    });
+
+    source.addEventListener('cancelled', () => {
+      close();
+      reject(new Error('Upload cancelled'));
+    });
+
+    source.onerror = () => {
+      // Stream dropped - keep following the job by polling
+      close();
+      waitForJob(jobId, onProgress, signal).then(resolve, reject);
+    };
   });
 }
 
+/**
+ * Ask the server to stop a running conversion job
+ */
+export async function cancelJob(jobId) {
+  try {
+    await fetch(`${API_URL}/api/jobs/${jobId}`, { method: 'DELETE', headers: authHeaders() });
+  } catch {
+    // Server unreachable - the job will time out on its own
+  }
+}
+
+/**
+ * Convert file with position options
+ * Uploads in resumable chunks (failed chunks are retried), then follows a conversion job
+ * @param {File} file - File to convert
+ * @param {Function} onProgress - Progress callback (phase, percent, message)
+ * @param {Object} options - Conversion options (position flags, quality, linearDeflection, angularDeflection, deflectionMode, optimize, compression)
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+export async function convertFile(file, onProgress, options = {}, signal = null) {
+  isConverting = true;
+
+  // Internal controller so cancelCurrentUpload() can stop both the upload and the polling
+  const controller = new AbortController();
+  currentController = controller;
+  signal?.addEventListener('abort', () => controller.abort());
+
+  let jobId = null;
+
+  try {
+    const uploadId = await uploadFile(file, onProgress, controller.signal);
+
+    onProgress?.(LOADING_PHASES.PROCESSING, 0, 'Processing on server...');
+    const job = await startJob('/api/jobs', { uploadId }, options, controller.signal);
+    jobId = job.jobId;
+    reportJobProgress(job, onProgress);
+
+    const data = await watchJob(jobId, onProgress, controller.signal);
+
+    onProgress?.(LOADING_PHASES.LOADING_MODEL, 100, 'Loading 3D model...');
+    return {
+      success: true,
+      url: `${API_URL}${data.url}`,
+      format: data.format,
+      size: data.size,
+      meshCount: data.meshCount,
+      bounds: data.bounds,
+      validation: data.validation,
+      optimization: data.optimization,
+      cached: data.cached,
+      options: data.options,
+      sessionId: data.sessionId
+    };
+  } catch (err) {
+    if (controller.signal.aborted && jobId) cancelJob(jobId);
+    throw err;
+  } finally {
+    if (currentController === controller) {
+      isConverting = false;
+      currentXHR = null;
+      currentController = null;
+    }
+  }
+}
+
+/**
+ * Convert several files, or zips of an assembly's parts, as one server job
+ * Each file is uploaded in resumable chunks, then the whole batch waits for a single converter slot
+ * @param {File[]} files - CAD, glTF/GLB or .zip files
+ * @param {Function} onProgress - Progress callback (phase, percent, message)
+ * @param {Object} options - Conversion options, as for convertFile
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Object>} The manifest: { sessionId, converted, failed, skipped, files: [{ fileName, status, url, error, code, ... }] }
+ */
+export async function convertBatch(files, onProgress, options = {}, signal = null) {
+  isConverting = true;
+
+  const controller = new AbortController();
+  currentController = controller;
+  signal?.addEventListener('abort', () => controller.abort());
+
+  const uploadIds = [];
+  let jobId = null;
+
+  try {
+    for (const [index, file] of files.entries()) {
+      const uploadId = await uploadFile(file, (phase, percent, message) => {
+        const overall = Math.round((index * 100 + percent) / files.length);
+        onProgress?.(phase, overall, `${file.name} (${index + 1}/${files.length}) - ${message}`);
+      }, controller.signal);
+      uploadIds.push(uploadId);
+    }
+
+    onProgress?.(LOADING_PHASES.PROCESSING, 0, 'Processing on server...');
+    const job = await startJob('/api/convert/batch', { uploadIds: uploadIds.join(',') }, options, controller.signal);
+    jobId = job.jobId;
+    reportJobProgress(job, onProgress);
+
+    const manifest = await watchJob(jobId, onProgress, controller.signal);
+
+    onProgress?.(LOADING_PHASES.LOADING_MODEL, 100, 'Loading 3D models...');
+    return {
+      ...manifest,
+      files: manifest.files.map((f) => (f.url ? { ...f, url: `${API_URL}${f.url}` } : f))
+    };
+  } catch (err) {
+    if (controller.signal.aborted && jobId) cancelJob(jobId);
+    // Finished uploads the batch never took would otherwise wait out the resume window
+    if (!jobId) {
+      uploadIds.forEach((uploadId) => {
+        fetch(`${API_URL}/api/uploads/${uploadId}`, { method: 'DELETE', headers: authHeaders() }).catch(() => {});
+      });
+    }
+    throw err;
+  } finally {
+    if (currentController === controller) {
+      isConverting = false;
+      currentXHR = null;
+      currentController = null;
+    }
+  }
+}
+
+/**
+ * Keep a conversion session's files on the server while its model is open
+ */
+export async function sendSessionHeartbeat(sessionId) {
+  try {
+    await fetch(`${API_URL}/api/session/${sessionId}/heartbeat`, { method: 'POST', headers: authHeaders() });
+  } catch {
+    // Server unreachable - try again on the next beat
+  }
+}
+
 export function cancelCurrentUpload() {
-  if (currentXHR) {
+  if (currentController) {
+    currentController.abort();
+  } else if (currentXHR) {
     currentXHR.abort();
     currentXHR = null;
     isConverting = false;
@@ -1,6 +1,7 @@
 // services/exportService.js
 import * as THREE from "three";
 import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter";
+import { isLodStandIn } from "../msftLod";
 
 /**
  * Deep clone a texture with all its properties
@@ -115,8 +116,8 @@ function cloneMeshComplete(mesh) {
   clonedMesh.quaternion.copy(mesh.quaternion);
   clonedMesh.scale.copy(mesh.scale);
   
-  // Copy other properties
-  clonedMesh.visible = mesh.visible;
+  // Copy other properties (an LOD hides its finest level while a stand-in shows)
+  clonedMesh.visible = mesh.visible || mesh.userData.lodLevel === 0;
   clonedMesh.castShadow = mesh.castShadow;
   clonedMesh.receiveShadow = mesh.receiveShadow;
   clonedMesh.frustumCulled = mesh.frustumCulled;
@@ -137,7 +138,8 @@ function cloneMeshComplete(mesh) {
  * Recursively clone an object and all its children
  */
 function cloneObjectDeep(object) {
-  if (!object) return null;
+  // MSFT_lod stand-ins are left out; their finest level is exported instead
+  if (!object || isLodStandIn(object)) return null;
   
   let cloned;
   
@@ -176,7 +178,7 @@ function cloneWithBakedTransforms(object) {
   object.updateMatrixWorld(true);
   
   object.traverse((child) => {
-    if (child.isMesh && child.geometry) {
+    if (child.isMesh && child.geometry && !isLodStandIn(child)) {
       // Clone geometry and apply world matrix
       const clonedGeometry = child.geometry.clone();
       child.updateWorldMatrix(true, false);
@@ -720,7 +722,8 @@ export function getModelStats(object) {
   const boundingBox = new THREE.Box3();
   
   object.traverse((child) => {
-    if (child.isMesh && child.geometry) {
+    // Coarser MSFT_lod levels stand in for a mesh, so only its finest level counts
+    if (child.isMesh && child.geometry && !isLodStandIn(child)) {
       meshCount++;
       const position = child.geometry.attributes.position;
       if (position) {
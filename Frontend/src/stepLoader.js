@@ -13,9 +13,69 @@ async function initOCCT() {
   return occtInstance;
 }
 
-export async function loadSTEPFile(file, onProgress) {
+// occt-import-js reader for each supported CAD extension
+const CAD_READERS = {
+  '.step': 'ReadStepFile',
+  '.stp': 'ReadStepFile',
+  '.igs': 'ReadIgesFile',
+  '.iges': 'ReadIgesFile',
+  '.brep': 'ReadBrepFile'
+};
+
+function createMaterial(color) {
+  return new THREE.MeshStandardMaterial({
+    color,
+    metalness: 0.3,
+    roughness: 0.6,
+    side: THREE.DoubleSide
+  });
+}
+
+// Group the triangle ranges of a mesh's B-rep faces by color. Faces without their
+// own color (or painted like the part) get `color: null` and keep the part material.
+function groupFacesByColor(faces, partColor) {
+  if (!faces?.length) return [];
+
+  const partHex = partColor.getHexString();
+  const groups = new Map();
+
+  for (const face of faces) {
+    const faceColor = face.color ? new THREE.Color(face.color[0], face.color[1], face.color[2]) : null;
+    const hex = faceColor ? faceColor.getHexString() : partHex;
+    if (!groups.has(hex)) {
+      groups.set(hex, { color: hex === partHex ? null : faceColor, triangles: [] });
+    }
+    groups.get(hex).triangles.push([face.first, face.last]);
+  }
+
+  return [...groups.values()];
+}
+
+// Rewrite an index buffer so each color group's triangles are contiguous
+function reorderIndices(indices, groups) {
+  const reordered = new Uint32Array(indices.length);
+  let offset = 0;
+  for (const { triangles } of groups) {
+    for (const [first, last] of triangles) {
+      const range = indices.subarray(first * 3, (last + 1) * 3);
+      reordered.set(range, offset);
+      offset += range.length;
+    }
+  }
+  return reordered;
+}
+
+export async function loadCADFile(file, onProgress) {
+  const ext = '.' + file.name.toLowerCase().split('.').pop();
+  const reader = CAD_READERS[ext];
+  const formatName = ext.slice(1).toUpperCase();
+
   try {
-    onProgress?.('Initializing STEP loader...');
+    if (!reader) {
+      throw new Error(`Unsupported CAD format: ${ext}`);
+    }
+
+    onProgress?.(`Initializing ${formatName} loader...`);
     const occt = await initOCCT();
 
     onProgress?.('Reading file...');
@@ -24,13 +84,13 @@ export async function loadSTEPFile(file, onProgress) {
     onProgress?.('Parsing geometry...');
     let result;
     try {
-      result = occt.ReadStepFile(new Uint8Array(buffer));
+      result = occt[reader](new Uint8Array(buffer));
     } catch {
-      result = occt.ReadStepFile(new Uint8Array(buffer), null);
+      result = occt[reader](new Uint8Array(buffer), null);
     }
 
     if (!result?.success || !result.meshes?.length) {
-      throw new Error('Failed to parse STEP file');
+      throw new Error(`Failed to parse ${formatName} file`);
     }
 
     onProgress?.(`Building model (${result.meshes.length} parts)...`);
@@ -40,8 +100,22 @@ export async function loadSTEPFile(file, onProgress) {
 
     const colors = [0x3B82F6, 0x10B981, 0xF59E0B, 0xEF4444, 0x8B5CF6, 0xEC4899];
 
+    // Painted faces share one material per distinct color across the model
+    const faceMaterials = new Map();
+    const faceMaterialFor = (color) => {
+      const hex = color.getHexString();
+      if (!faceMaterials.has(hex)) {
+        const material = createMaterial(color);
+        material.name = `Face_${hex}`;
+        faceMaterials.set(hex, material);
+      }
+      return faceMaterials.get(hex);
+    };
+    const meshes = []; // index-aligned with result.meshes, null when skipped
+
     for (let i = 0; i < result.meshes.length; i++) {
       const m = result.meshes[i];
+      meshes.push(null);
       if (!m.attributes?.position?.array?.length) continue;
 
       const geometry = new THREE.BufferGeometry();
@@ -62,21 +136,59 @@ export async function loadSTEPFile(file, onProgress) {
         color = new THREE.Color(m.color[0], m.color[1], m.color[2]);
       }
 
-      const material = new THREE.MeshStandardMaterial({
-        color,
-        metalness: 0.3,
-        roughness: 0.6,
-        side: THREE.DoubleSide
-      });
-
-      const mesh = new THREE.Mesh(geometry, material);
+      const material = createMaterial(color);
+      const faceGroups = geometry.index ? groupFacesByColor(m.brep_faces, color) : [];
+
+      let mesh;
+      if (faceGroups.length > 1 || faceGroups[0]?.color) {
+        // Painted faces: one geometry group per color, each with its own material
+        geometry.setIndex(new THREE.BufferAttribute(
+          reorderIndices(geometry.index.array, faceGroups), 1
+        ));
+
+        let start = 0;
+        const materials = faceGroups.map(({ color: faceColor, triangles }, groupIndex) => {
+          const count = triangles.reduce((n, [first, last]) => n + (last - first + 1) * 3, 0);
+          geometry.addGroup(start, count, groupIndex);
+          start += count;
+          return faceColor ? faceMaterialFor(faceColor) : material;
+        });
+
+        mesh = new THREE.Mesh(geometry, materials);
+      } else {
+        mesh = new THREE.Mesh(geometry, material);
+      }
       mesh.name = m.name || `Part_${i + 1}`;
       mesh.castShadow = true;
       mesh.receiveShadow = true;
 
-      group.add(mesh);
+      meshes[i] = mesh;
     }
 
+    // Mirror the assembly tree: sub-assemblies and parts become nested groups
+    const usedMeshes = new Set();
+    const addAssembly = (node, parent) => {
+      for (const meshIndex of node.meshes || []) {
+        const mesh = meshes[meshIndex];
+        if (!mesh) continue;
+        parent.add(usedMeshes.has(meshIndex) ? mesh.clone() : mesh);
+        usedMeshes.add(meshIndex);
+      }
+      for (const child of node.children || []) {
+        const childGroup = new THREE.Group();
+        childGroup.name = child.name || 'Assembly';
+        addAssembly(child, childGroup);
+        if (childGroup.children.length > 0) parent.add(childGroup);
+      }
+    };
+
+    if (result.root) addAssembly(result.root, group);
+
+    // Keep any mesh the tree did not reference
+    meshes.forEach((mesh, i) => {
+      if (mesh && !usedMeshes.has(i)) group.add(mesh);
+    });
+
     if (group.children.length === 0) {
       throw new Error('No valid geometry');
     }
@@ -85,9 +197,12 @@ export async function loadSTEPFile(file, onProgress) {
     return group;
 
   } catch (error) {
-    console.error('STEP error:', error);
+    console.error(`${formatName} error:`, error);
     throw error;
   }
 }
 
-export default loadSTEPFile;
\ No newline at end of file
+// STEP was the only format at first; keep the old name working
+export const loadSTEPFile = loadCADFile;
+
+export default loadCADFile;
\ No newline at end of file
@@ -0,0 +1,80 @@
+// Frontend/test/msftLod.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { GLTFLodExtension, isLodStandIn } from '../src/msftLod.js';
+
+// One triangle, shared by every primitive
+const TRIANGLE = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+
+/**
+ * A glTF whose node "Part" has a two-primitive mesh and one MSFT_lod stand-in
+ * "Part_LOD1", itself a two-primitive mesh. Its buffer is the GLB's BIN chunk.
+ */
+function twoPrimitiveLodGltf() {
+  const primitives = [{ attributes: { POSITION: 0 } }, { attributes: { POSITION: 0 } }];
+  return {
+    asset: { version: '2.0' },
+    extensionsUsed: ['MSFT_lod'],
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [
+      { name: 'Part', mesh: 0, extensions: { MSFT_lod: { ids: [1] } }, extras: { MSFT_screencoverage: [0.5, 0] } },
+      { name: 'Part_LOD1', mesh: 1 }
+    ],
+    meshes: [{ name: 'Part', primitives }, { name: 'Part_LOD1', primitives }],
+    accessors: [{ bufferView: 0, componentType: 5126, count: 3, type: 'VEC3', min: [0, 0, 0], max: [1, 1, 0] }],
+    bufferViews: [{ buffer: 0, byteLength: TRIANGLE.byteLength }],
+    buffers: [{ byteLength: TRIANGLE.byteLength }]
+  };
+}
+
+// GLB container: 12-byte header, then a JSON and a BIN chunk, each 4-byte aligned
+function toGLB(json, bin) {
+  const pad = (bytes, fill) => {
+    const padded = new Uint8Array(Math.ceil(bytes.length / 4) * 4).fill(fill);
+    padded.set(bytes);
+    return padded;
+  };
+  const chunks = [[pad(new TextEncoder().encode(JSON.stringify(json)), 0x20), 0x4e4f534a], [pad(bin, 0), 0x004e4942]];
+  const glb = new Uint8Array(12 + chunks.reduce((sum, [data]) => sum + 8 + data.length, 0));
+  const view = new DataView(glb.buffer);
+  view.setUint32(0, 0x46546c67, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, glb.length, true);
+  let offset = 12;
+  for (const [data, type] of chunks) {
+    view.setUint32(offset, data.length, true);
+    view.setUint32(offset + 4, type, true);
+    glb.set(data, offset + 8);
+    offset += 8 + data.length;
+  }
+  return glb.buffer;
+}
+
+function load(json) {
+  const loader = new GLTFLoader().register(parser => new GLTFLodExtension(parser));
+  const glb = toGLB(json, new Uint8Array(TRIANGLE.buffer));
+  return new Promise((resolve, reject) => loader.parse(glb, '', resolve, reject));
+}
+
+describe('GLTFLodExtension', () => {
+  test('marks every mesh of a multi-primitive stand-in', async () => {
+    const { scene } = await load(twoPrimitiveLodGltf());
+    let lod;
+    scene.traverse(child => { if (child.isLOD) lod = child; });
+    assert.ok(lod, 'the node should load as a THREE.LOD');
+    assert.equal(lod.levels.length, 2);
+
+    const meshesOf = (object) => {
+      const meshes = [];
+      object.traverse(child => { if (child.isMesh) meshes.push(child); });
+      return meshes;
+    };
+    const [finest, standIn] = lod.levels.map(level => meshesOf(level.object));
+    assert.equal(finest.length, 2);
+    assert.equal(standIn.length, 2);
+    assert.ok(finest.every(mesh => !isLodStandIn(mesh)));
+    assert.ok(standIn.every(mesh => isLodStandIn(mesh)));
+  });
+});